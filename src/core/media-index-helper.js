@@ -72,6 +72,12 @@ export class MediaIndexHelper {
           camera_make: exif.camera_make,
           camera_model: exif.camera_model,
           
+          // V5.9: Exposure settings (metadata overlay show_exposure / show_focal_length / show_iso)
+          iso: exif.iso,
+          aperture: exif.aperture,
+          shutter_speed: exif.shutter_speed,
+          focal_length: exif.focal_length,
+          
           // User flags (from nested exif object, convert 0/1 to boolean)
           is_favorited: exif.is_favorited === 1 || response.is_favorited === 1,
           marked_for_edit: false, // Not in get_file_metadata response
@@ -82,6 +88,9 @@ export class MediaIndexHelper {
           burst_favorites: exif.burst_favorites || null,
           burst_count: exif.burst_count || null,
           
+          // V5.9: Recognized faces (names of people in the photo)
+          people: response.people || exif.people || null,
+          
           // File info from top level
           filename: response.filename,
           folder: response.folder
@@ -129,9 +138,18 @@ export class MediaIndexHelper {
       camera_make: item.camera_make,
       camera_model: item.camera_model,
       
+      // V5.9: Exposure settings
+      iso: item.iso,
+      aperture: item.aperture,
+      shutter_speed: item.shutter_speed,
+      focal_length: item.focal_length,
+      
       // User flags
       is_favorited: item.is_favorited || false,
-      marked_for_edit: item.marked_for_edit || false
+      marked_for_edit: item.marked_for_edit || false,
+      
+      // V5.9: Recognized faces
+      people: item.people || null
     };
   }
 }
@@ -509,6 +509,117 @@ export class MediaProvider {
     return metadata;
   }
 
+  /**
+   * V5.9: Resolve a list filter (filters.people, filters.camera) to a list of names
+   * Accepts a list, a comma-separated string, or an input_text / input_select / sensor entity holding one
+   * @returns {string[]|null} Names, or null when the filter doesn't apply
+   */
+  static resolveListFilter(filterValue, hass) {
+    if (!filterValue) return null;
+    
+    let value = filterValue;
+    if (MediaProvider.isListFilterEntity(value)) {
+      value = hass?.states[value]?.state || '';
+    }
+    
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(name => String(name).trim())
+      .filter(name => name && name !== 'unknown' && name !== 'unavailable');
+    return list.length > 0 ? list : null;
+  }
+
+  // V5.9: Entity reference accepted by resolveListFilter
+  static isListFilterEntity(value) {
+    return typeof value === 'string' && /^(input_text|input_select|sensor)\./.test(value);
+  }
+
+  /**
+   * V5.9: Resolve filters.orientation to a list of portrait / landscape / square
+   * Same inputs as resolveListFilter (so an input_select can switch it); unknown values are dropped
+   * @returns {string[]|null} Orientations, or null when the filter doesn't apply
+   */
+  static resolveOrientationFilter(filterValue, hass) {
+    const list = (MediaProvider.resolveListFilter(filterValue, hass) || [])
+      .map(value => value.toLowerCase())
+      .filter(value => {
+        if (['portrait', 'landscape', 'square'].includes(value)) return true;
+        console.warn('[MediaProvider] Ignoring unknown orientation filter value:', value);
+        return false;
+      });
+    return list.length > 0 ? list : null;
+  }
+
+  /**
+   * V5.9: Resolve filters.min_rating to a number of stars (1-5)
+   * A number, or an input_number / sensor entity holding one. get_random_items and
+   * get_ordered_files have no rating parameter, but return each file's rating - the
+   * providers drop lower-rated items from every batch themselves.
+   * @returns {number|null} Minimum stars, or null when the filter doesn't apply
+   */
+  static resolveMinRating(filterValue, hass) {
+    if (filterValue === undefined || filterValue === null || filterValue === '') return null;
+    
+    let value = filterValue;
+    if (MediaProvider.isMinRatingEntity(value)) {
+      value = hass?.states[value]?.state;
+    }
+    
+    const stars = Number(value);
+    return Number.isFinite(stars) && stars > 0 ? Math.min(5, stars) : null;
+  }
+
+  // V5.9: Entity reference accepted by resolveMinRating
+  static isMinRatingEntity(value) {
+    return typeof value === 'string' && /^(input_number|sensor)\./.test(value);
+  }
+
+  /**
+   * V5.9: Resolve filters.location to Media Index service parameters
+   * Place names: { city, state, country } (each a name or a list of names)
+   * Radius: { latitude, longitude, radius_km } or { zone: zone.home, radius_km }
+   * A plain string is a zone entity (zone.home) or a place name matched against city/state/country
+   * @returns {Object|null} location_city / location_state / location_country / location_any /
+   *   near_latitude / near_longitude / radius_km, or null when no location filter applies
+   */
+  static resolveLocationFilter(location, hass) {
+    if (!location) return null;
+    
+    const filter = typeof location === 'string'
+      ? (location.startsWith('zone.') ? { zone: location } : { place: location })
+      : location;
+    const params = {};
+    
+    const names = (value) => MediaProvider.resolveListFilter(value, hass);
+    if (names(filter.city)) params.location_city = names(filter.city);
+    if (names(filter.state)) params.location_state = names(filter.state);
+    if (names(filter.country)) params.location_country = names(filter.country);
+    if (names(filter.place)) params.location_any = names(filter.place);
+    
+    let latitude = filter.latitude;
+    let longitude = filter.longitude;
+    let radiusKm = filter.radius_km;
+    
+    if (filter.zone) {
+      const zone = hass?.states[filter.zone];
+      if (zone?.attributes?.latitude === undefined) {
+        console.warn('[MediaProvider] Location filter zone not found:', filter.zone);
+      } else {
+        latitude = zone.attributes.latitude;
+        longitude = zone.attributes.longitude;
+        // Zone radius is in meters - radius_km overrides it
+        radiusKm = radiusKm ?? (zone.attributes.radius || 100) / 1000;
+      }
+    }
+    
+    if (latitude !== undefined && longitude !== undefined) {
+      params.near_latitude = Number(latitude);
+      params.near_longitude = Number(longitude);
+      params.radius_km = Number(radiusKm ?? 10);
+    }
+    
+    return Object.keys(params).length > 0 ? params : null;
+  }
+
   /**
    * V5.7: Compile glob patterns to regex for path exclusion
    * Called once at config load time for performance
@@ -0,0 +1,311 @@
+/**
+ * SoundtrackPlayer - Background music for slideshows
+ * V5.9: Plays `soundtrack:` tracks (a media-source folder or a list of URIs) through an
+ * <audio> element owned by the card, or on a media_player entity when one is configured.
+ */
+export class SoundtrackPlayer {
+  static AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'flac', 'wav', 'oga', 'ogg', 'opus'];
+
+  constructor(config, card) {
+    this.config = config || {};
+    this.card = card;
+    this.entityId = this.config.media_player || null;
+    this.volume = this._clampVolume(this.config.volume, 0.5);
+    this.duckVolume = this._clampVolume(this.config.duck_volume, 0.1);
+    this.tracks = [];
+    this.trackIndex = -1;
+    this.audio = null;
+    this._paused = false;        // Slideshow paused
+    this._ducked = false;        // Video with sound on screen
+    this._entityPlaying = false; // media_player mode: our track has started
+    this._entityRequested = false; // media_player mode: play_media for the current track went through
+    this._stateBeforePlay = null; // media_player mode: entity state from before play_media (ignored)
+    this._failedTracks = 0;      // Tracks that failed in a row - stops after a full pass
+    this._gestureHandler = null; // Retries play() after the browser blocked autoplay
+    this._started = false;       // First track has been queued
+    this._disposed = false;
+    this.onTrackChange = null;   // Called with the new track (advance_on_track_change)
+  }
+
+  _log(...args) {
+    if (this.card?.config?.debug_mode) {
+      const cardId = this.card?._cardId || 'unknown-card';
+      console.log(`[SoundtrackPlayer:${cardId}]`, ...args);
+    }
+  }
+
+  _clampVolume(value, fallback) {
+    const volume = Number(value);
+    return Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : fallback;
+  }
+
+  get _hass() {
+    return this.card?.hass;
+  }
+
+  async start() {
+    this.tracks = await this._loadTracks();
+    if (this.tracks.length === 0) {
+      console.warn('[SoundtrackPlayer] No audio tracks found - configure soundtrack.folder or soundtrack.items');
+      return false;
+    }
+
+    if (this.config.shuffle) {
+      this._shuffle();
+    }
+    this._log(`🎵 Loaded ${this.tracks.length} tracks${this.entityId ? ` for ${this.entityId}` : ''}`);
+
+    if (!this.entityId) {
+      this.audio = document.createElement('audio');
+      this.audio.preload = 'auto';
+      this.audio.addEventListener('ended', () => this._nextTrack());
+      this.audio.addEventListener('playing', () => {
+        this._failedTracks = 0;
+      });
+      this.audio.addEventListener('error', () => {
+        console.warn('[SoundtrackPlayer] Failed to play track - skipping:', this.tracks[this.trackIndex]);
+        this._skipFailedTrack();
+      });
+    }
+
+    await this._nextTrack();
+    return true;
+  }
+
+  async _loadTracks() {
+    try {
+      if (Array.isArray(this.config.items)) {
+        return this.config.items
+          .map(item => String(item ?? '').trim())
+          .filter(item => item)
+          .map(item => (item.startsWith('/media/') ? 'media-source://media_source' + item : item));
+      }
+      if (this.config.folder) {
+        return await this._browseFolder(this.config.folder);
+      }
+    } catch (error) {
+      console.warn('[SoundtrackPlayer] Failed to load tracks:', error);
+    }
+    return [];
+  }
+
+  async _browseFolder(folder) {
+    let path = folder;
+    if (path.startsWith('/media/')) {
+      path = 'media-source://media_source' + path;
+    }
+
+    const result = await this._hass.callWS({
+      type: 'media_source/browse_media',
+      media_content_id: path
+    });
+
+    // Tracks play in folder order (album track numbers usually sort correctly by name)
+    return (result?.children || [])
+      .filter(child => !child.can_expand)
+      .filter(child => child.media_class === 'music' || this._isAudioFile(child.title || child.media_content_id))
+      .map(child => child.media_content_id);
+  }
+
+  _isAudioFile(path) {
+    const extension = (path || '').split('?')[0].split('.').pop()?.toLowerCase();
+    return SoundtrackPlayer.AUDIO_EXTENSIONS.includes(extension);
+  }
+
+  _shuffle() {
+    // Fisher-Yates shuffle
+    for (let i = this.tracks.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.tracks[i], this.tracks[j]] = [this.tracks[j], this.tracks[i]];
+    }
+  }
+
+  async _nextTrack() {
+    if (this._disposed || this.tracks.length === 0) return;
+
+    this.trackIndex++;
+    if (this.trackIndex >= this.tracks.length) {
+      if (this.config.loop === false) {
+        this._log('🎵 Soundtrack finished (loop: false)');
+        return;
+      }
+      if (this.config.shuffle) {
+        this._shuffle();
+      }
+      this.trackIndex = 0;
+    }
+
+    const track = this.tracks[this.trackIndex];
+    this._log(`🎵 Track ${this.trackIndex + 1}/${this.tracks.length}:`, track);
+
+    if (this.entityId) {
+      await this._playOnEntity(track);
+    } else {
+      const url = await this.card._resolveMediaPathParam(track);
+      if (this._disposed) return;
+      if (!url) {
+        console.warn('[SoundtrackPlayer] Failed to resolve track - skipping:', track);
+        await this._skipFailedTrack();
+        return;
+      }
+      this.audio.src = url;
+      this._applyLocalState();
+    }
+
+    // First track starts with the slideshow - only later changes count as track changes
+    if (this._started) {
+      this.onTrackChange?.(track);
+    }
+    this._started = true;
+  }
+
+  async _skipFailedTrack() {
+    this._failedTracks++;
+    // Every track failed once - looping would just retry the same broken list forever
+    if (this._failedTracks >= this.tracks.length) {
+      console.warn('[SoundtrackPlayer] No track could be played - stopping soundtrack');
+      return;
+    }
+    await this._nextTrack();
+  }
+
+  async _playOnEntity(track) {
+    this._entityPlaying = false;
+    this._entityRequested = false;
+    this._stateBeforePlay = this._hass?.states?.[this.entityId] || null;
+    try {
+      await this._hass.callService('media_player', 'volume_set', {
+        entity_id: this.entityId,
+        volume_level: this._ducked ? this.duckVolume : this.volume
+      });
+      await this._hass.callService('media_player', 'play_media', {
+        entity_id: this.entityId,
+        media_content_id: track,
+        media_content_type: 'music'
+      });
+      this._entityRequested = true;
+      if (this._paused || (this._ducked && this.duckVolume === 0)) {
+        await this._hass.callService('media_player', 'media_pause', { entity_id: this.entityId });
+      }
+    } catch (error) {
+      console.warn('[SoundtrackPlayer] Failed to play on', this.entityId, error);
+    }
+  }
+
+  /**
+   * media_player mode: the next track starts when the entity goes from playing to idle
+   * after our play_media call. media_content_id is not compared - players that resolve
+   * media-source ids report the resolved URL there instead of the id we sent.
+   */
+  updateHass(hass) {
+    if (!this.entityId || this._disposed || !this._entityRequested) return;
+
+    // Still the state from before our request (e.g. whatever the speaker was playing before)
+    const state = hass?.states?.[this.entityId];
+    if (!state || state === this._stateBeforePlay) return;
+
+    if (state.state === 'playing') {
+      this._entityPlaying = true;
+    } else if (this._entityPlaying && state.state === 'idle') {
+      this._entityPlaying = false;
+      this._nextTrack();
+    }
+  }
+
+  setPaused(paused) {
+    if (this._paused === paused) return;
+    this._paused = paused;
+    this._log(paused ? '⏸️ Soundtrack paused' : '▶️ Soundtrack resumed');
+    this._applyState();
+  }
+
+  /**
+   * Lower the music (or pause it with duck_volume: 0) while a video with sound plays
+   */
+  setDucked(ducked) {
+    if (this._ducked === ducked) return;
+    this._ducked = ducked;
+    this._log(ducked ? '🔉 Ducking soundtrack for video audio' : '🔊 Soundtrack back to full volume');
+    this._applyState();
+  }
+
+  _applyState() {
+    // Nothing playing yet - the first track picks up the current state
+    if (!this._started) return;
+    if (this.entityId) {
+      this._applyEntityState();
+    } else {
+      this._applyLocalState();
+    }
+  }
+
+  _applyLocalState() {
+    if (!this.audio?.src) return;
+
+    this.audio.volume = this._ducked ? this.duckVolume : this.volume;
+    const shouldPlay = !this._paused && !(this._ducked && this.duckVolume === 0);
+    if (!shouldPlay) {
+      this.audio.pause();
+      return;
+    }
+
+    this.audio.play().catch(error => {
+      if (error.name !== 'NotAllowedError') {
+        console.warn('[SoundtrackPlayer] Failed to start playback:', error);
+        return;
+      }
+      // Browsers only allow audio after the user has interacted with the page
+      this._log('🎵 Autoplay blocked - soundtrack starts on the next tap or key press');
+      this._waitForGesture();
+    });
+  }
+
+  _waitForGesture() {
+    if (this._gestureHandler) return;
+    this._gestureHandler = () => {
+      this._removeGestureHandler();
+      this._applyLocalState();
+    };
+    document.addEventListener('pointerdown', this._gestureHandler, true);
+    document.addEventListener('keydown', this._gestureHandler, true);
+  }
+
+  _removeGestureHandler() {
+    if (!this._gestureHandler) return;
+    document.removeEventListener('pointerdown', this._gestureHandler, true);
+    document.removeEventListener('keydown', this._gestureHandler, true);
+    this._gestureHandler = null;
+  }
+
+  async _applyEntityState() {
+    const silent = this._paused || (this._ducked && this.duckVolume === 0);
+    try {
+      if (silent) {
+        await this._hass.callService('media_player', 'media_pause', { entity_id: this.entityId });
+        return;
+      }
+      await this._hass.callService('media_player', 'volume_set', {
+        entity_id: this.entityId,
+        volume_level: this._ducked ? this.duckVolume : this.volume
+      });
+      await this._hass.callService('media_player', 'media_play', { entity_id: this.entityId });
+    } catch (error) {
+      console.warn('[SoundtrackPlayer] Failed to update', this.entityId, error);
+    }
+  }
+
+  dispose() {
+    this._disposed = true;
+    this._removeGestureHandler();
+    if (this.audio) {
+      this.audio.pause();
+      this.audio.removeAttribute('src');
+      this.audio.load();
+      this.audio = null;
+    }
+    if (this.entityId && this.trackIndex >= 0) {
+      this._hass?.callService('media_player', 'media_stop', { entity_id: this.entityId })
+        .catch(error => this._log('⚠️ Failed to stop soundtrack:', error));
+    }
+  }
+}
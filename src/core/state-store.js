@@ -0,0 +1,128 @@
+/**
+ * StateStore - Persists slideshow state in localStorage across browser reloads
+ * V5.9: Entries are keyed by card id and a hash of the source configuration, so
+ * changing the folder or filters starts fresh instead of resuming stale state.
+ */
+export class StateStore {
+  static KEY_PREFIX = 'media-card-state:';
+  static CHECKPOINT_PREFIX = 'media-card-resume:'; // folder.sequential.resume - never expires
+
+  // Only settings that change what the slideshow shows are part of the hash
+  static SOURCE_CONFIG_KEYS = [
+    'media_source_type', 'media_path', 'media_type', 'folder', 'filters',
+    'media_index', 'playlist', 'sources', 'excluded_paths'
+  ];
+
+  static buildKey(cardId, config, prefix = StateStore.KEY_PREFIX) {
+    const source = {};
+    for (const key of StateStore.SOURCE_CONFIG_KEYS) {
+      if (config?.[key] !== undefined) {
+        source[key] = config[key];
+      }
+    }
+    return `${prefix}${cardId || 'default'}:${StateStore._hash(JSON.stringify(source))}`;
+  }
+
+  /**
+   * V5.9: Sequential resume checkpoints (folder.sequential.resume)
+   * Kept apart from persist_state so a long sequential walk survives its retention window
+   */
+  static loadCheckpoint(config) {
+    return StateStore.load(StateStore.buildKey(config.card_id, config, StateStore.CHECKPOINT_PREFIX), Infinity);
+  }
+
+  static saveCheckpoint(config, checkpoint) {
+    return StateStore.save(StateStore.buildKey(config.card_id, config, StateStore.CHECKPOINT_PREFIX), checkpoint);
+  }
+
+  static clearCheckpoint(config) {
+    StateStore.remove(StateStore.buildKey(config.card_id, config, StateStore.CHECKPOINT_PREFIX));
+  }
+
+  /**
+   * Read saved state - returns null when missing, unreadable or older than maxAgeMs
+   */
+  static load(key, maxAgeMs) {
+    try {
+      const raw = window.localStorage?.getItem(key);
+      if (!raw) return null;
+
+      const entry = JSON.parse(raw);
+      if (!entry?.savedAt || Date.now() - entry.savedAt > maxAgeMs) {
+        window.localStorage.removeItem(key);
+        return null;
+      }
+      return entry.state || null;
+    } catch (error) {
+      console.warn('[StateStore] Failed to read saved state:', error);
+      return null;
+    }
+  }
+
+  static save(key, state) {
+    const raw = JSON.stringify({ savedAt: Date.now(), state });
+    try {
+      window.localStorage?.setItem(key, raw);
+      return true;
+    } catch (error) {
+      // Storage full - drop every other card's saved state and try once more
+      StateStore.prune(0, key);
+      try {
+        window.localStorage?.setItem(key, raw);
+        return true;
+      } catch (retryError) {
+        console.warn('[StateStore] Failed to save state (storage full?):', retryError);
+        return false;
+      }
+    }
+  }
+
+  static remove(key) {
+    try {
+      window.localStorage?.removeItem(key);
+    } catch (error) {
+      // Storage unavailable (private mode) - nothing to remove
+    }
+  }
+
+  /**
+   * Remove saved state older than maxAgeMs (0 = all), except keepKey
+   */
+  static prune(maxAgeMs, keepKey = null) {
+    try {
+      const storage = window.localStorage;
+      if (!storage) return;
+
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key?.startsWith(StateStore.KEY_PREFIX) && key !== keepKey) {
+          keys.push(key);
+        }
+      }
+
+      for (const key of keys) {
+        let savedAt = 0;
+        try {
+          savedAt = JSON.parse(storage.getItem(key))?.savedAt || 0;
+        } catch (error) {
+          // Unreadable entry - remove it
+        }
+        if (Date.now() - savedAt >= maxAgeMs) {
+          storage.removeItem(key);
+        }
+      }
+    } catch (error) {
+      console.warn('[StateStore] Failed to prune saved state:', error);
+    }
+  }
+
+  // djb2 - short, stable key for a config (not a security hash)
+  static _hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+}
@@ -548,6 +548,7 @@ export class MediaCardEditor extends LitElement {
       folder: {
         ...this._config.folder,
         sequential: {
+          ...this._config.folder?.sequential,
           order_by: orderBy,
           order_direction: this._config.folder?.sequential?.order_direction || 'desc'
         }
@@ -563,6 +564,7 @@ export class MediaCardEditor extends LitElement {
       folder: {
         ...this._config.folder,
         sequential: {
+          ...this._config.folder?.sequential,
           order_by: this._config.folder?.sequential?.order_by || 'date_taken',
           order_direction: direction
         }
@@ -571,6 +573,31 @@ export class MediaCardEditor extends LitElement {
     this._fireConfigChanged();
   }
 
+  _handleSequentialResumeChange(ev) {
+    this._config = {
+      ...this._config,
+      folder: {
+        ...this._config.folder,
+        sequential: {
+          ...this._config.folder?.sequential,
+          resume: ev.target.checked
+        }
+      }
+    };
+    this._fireConfigChanged();
+  }
+
+  _actionButtonsEnableRestartChanged(ev) {
+    this._config = {
+      ...this._config,
+      action_buttons: {
+        ...this._config.action_buttons,
+        enable_restart: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
   _handleRootMediaIndexEntityChange(ev) {
     const entityId = ev.target.value;
     this._log('_handleRootMediaIndexEntityChange called with:', entityId);
@@ -953,6 +980,17 @@ export class MediaCardEditor extends LitElement {
     this._fireConfigChanged();
   }
 
+  // V5.9: Transition effect change handler (crossfade is the default, so drop the key)
+  _transitionEffectChanged(ev) {
+    const effect = ev.target.value;
+    const { effect: _previous, ...transition } = this._config.transition || {};
+    this._config = {
+      ...this._config,
+      transition: effect === 'crossfade' ? transition : { ...transition, effect }
+    };
+    this._fireConfigChanged();
+  }
+
   _displayEntitiesEnabledChanged(ev) {
     this._config = {
       ...this._config,
@@ -1193,6 +1231,50 @@ export class MediaCardEditor extends LitElement {
     this._fireConfigChanged();
   }
 
+  _metadataShowCameraChanged(ev) {
+    this._config = {
+      ...this._config,
+      metadata: {
+        ...this._config.metadata,
+        show_camera: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
+  _metadataShowExposureChanged(ev) {
+    this._config = {
+      ...this._config,
+      metadata: {
+        ...this._config.metadata,
+        show_exposure: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
+  _metadataShowFocalLengthChanged(ev) {
+    this._config = {
+      ...this._config,
+      metadata: {
+        ...this._config.metadata,
+        show_focal_length: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
+  _metadataShowIsoChanged(ev) {
+    this._config = {
+      ...this._config,
+      metadata: {
+        ...this._config.metadata,
+        show_iso: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
   _autoSelectBurstFavoriteChanged(ev) {
     this._config = {
       ...this._config,
@@ -1328,6 +1410,28 @@ export class MediaCardEditor extends LitElement {
     this._fireConfigChanged();
   }
 
+  _actionButtonsEnablePeoplePhotosChanged(ev) {
+    this._config = {
+      ...this._config,
+      action_buttons: {
+        ...this._config.action_buttons,
+        enable_people_photos: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
+  _actionButtonsEnableNearbyChanged(ev) {
+    this._config = {
+      ...this._config,
+      action_buttons: {
+        ...this._config.action_buttons,
+        enable_nearby: ev.target.checked
+      }
+    };
+    this._fireConfigChanged();
+  }
+
   _actionButtonsHideOnThisDayButtonChanged(ev) {
     this._config = {
       ...this._config,
@@ -3143,6 +3247,30 @@ Tip: Check your Home Assistant media folder in Settings > System > Storage`;
                 <div class="help-text">Sort order direction</div>
               </div>
             </div>
+
+            <div class="config-row">
+              <label>Resume After Restart</label>
+              <div>
+                <input
+                  type="checkbox"
+                  .checked=${folderConfig.sequential?.resume === true}
+                  @change=${this._handleSequentialResumeChange}
+                />
+                <div class="help-text">Continue after the last item shown when the browser or tablet restarts, instead of starting over from the first item</div>
+              </div>
+            </div>
+
+            <div class="config-row">
+              <label>Restart Button</label>
+              <div>
+                <input
+                  type="checkbox"
+                  .checked=${this._config.action_buttons?.enable_restart === true}
+                  @change=${this._actionButtonsEnableRestartChanged}
+                />
+                <div class="help-text">Show a button that starts the slideshow over from the first item</div>
+              </div>
+            </div>
           ` : ''}
 
           <!-- excluded_paths callout - always shown for folder mode -->
@@ -3501,6 +3629,24 @@ Tip: Check your Home Assistant media folder in Settings > System > Storage`;
               <div class="help-text">Fade duration between photos (0 = instant). Default: 300ms</div>
             </div>
           </div>
+          
+          <div class="config-row">
+            <label>Transition Effect</label>
+            <div>
+              <select @change=${this._transitionEffectChanged} .value=${this._config.transition?.effect || 'crossfade'}>
+                <option value="crossfade">Crossfade</option>
+                <option value="slide-left">Slide Left</option>
+                <option value="slide-right">Slide Right</option>
+                <option value="push">Push</option>
+                <option value="zoom-in">Zoom In</option>
+                <option value="blur-dissolve">Blur Dissolve</option>
+                <option value="cube">Cube</option>
+                <option value="ken_burns">Ken Burns (Pan & Zoom)</option>
+                <option value="random">Random (per image)</option>
+              </select>
+              <div class="help-text">How images change. Slide, push and cube reverse direction when navigating back. Requires a duration above 0</div>
+            </div>
+          </div>
         </div>
 
         <div class="section">
@@ -3617,6 +3763,54 @@ Tip: Check your Home Assistant media folder in Settings > System > Storage`;
             </div>
           </div>
 
+          <div class="config-row">
+            <label>Show Camera</label>
+            <div>
+              <input
+                type="checkbox"
+                .checked=${this._config.metadata?.show_camera === true}
+                @change=${this._metadataShowCameraChanged}
+              />
+              <div class="help-text">Display 📷 camera make and model (requires media_index integration)</div>
+            </div>
+          </div>
+
+          <div class="config-row">
+            <label>Show Exposure</label>
+            <div>
+              <input
+                type="checkbox"
+                .checked=${this._config.metadata?.show_exposure === true}
+                @change=${this._metadataShowExposureChanged}
+              />
+              <div class="help-text">Display ⏱️ aperture and shutter speed, e.g. f/2.8 1/250s (requires media_index integration)</div>
+            </div>
+          </div>
+
+          <div class="config-row">
+            <label>Show Focal Length</label>
+            <div>
+              <input
+                type="checkbox"
+                .checked=${this._config.metadata?.show_focal_length === true}
+                @change=${this._metadataShowFocalLengthChanged}
+              />
+              <div class="help-text">Display 🔭 focal length in mm (requires media_index integration)</div>
+            </div>
+          </div>
+
+          <div class="config-row">
+            <label>Show ISO</label>
+            <div>
+              <input
+                type="checkbox"
+                .checked=${this._config.metadata?.show_iso === true}
+                @change=${this._metadataShowIsoChanged}
+              />
+              <div class="help-text">Display ISO sensitivity (requires media_index integration)</div>
+            </div>
+          </div>
+
           <div class="config-row">
             <label>Prefer Burst Favorites</label>
             <div>
@@ -4010,6 +4204,30 @@ Tip: Check your Home Assistant media folder in Settings > System > Storage`;
               </div>
             </div>
             
+            <div class="config-row">
+              <label>People Button</label>
+              <div>
+                <input
+                  type="checkbox"
+                  .checked=${this._config.action_buttons?.enable_people_photos === true}
+                  @change=${this._actionButtonsEnablePeoplePhotosChanged}
+                />
+                <div class="help-text">View more media items of the people recognized in the current photo (requires media_index face data)</div>
+              </div>
+            </div>
+            
+            <div class="config-row">
+              <label>Nearby Button</label>
+              <div>
+                <input
+                  type="checkbox"
+                  .checked=${this._config.action_buttons?.enable_nearby === true}
+                  @change=${this._actionButtonsEnableNearbyChanged}
+                />
+                <div class="help-text">View other media items taken near the current photo's GPS location (requires media_index)</div>
+              </div>
+            </div>
+            
             <div class="config-row">
               <label>Through the Years Button</label>
               <div>
@@ -0,0 +1,262 @@
+import { MediaProvider } from '../core/media-provider.js';
+import { FolderProvider } from './folder-provider.js';
+import { PlaylistProvider } from './playlist-provider.js';
+
+/**
+ * CompositeProvider - Mixes several providers into one slideshow
+ * V5.9: Each entry in `sources:` is a full provider config plus a weight.
+ * Items are interleaved by weight (smooth weighted round-robin), so 60/30/10
+ * gives an even spread rather than runs of the same source.
+ */
+export class CompositeProvider extends MediaProvider {
+  constructor(config, hass, card = null) {
+    super(config, hass);
+    this.card = card;
+    this.sources = [];           // { index, name, weight, provider, current, exhausted }
+    this._itemSources = new Map(); // media_content_id -> source (for checkFileExists)
+    this._restoredState = null;    // V5.9: Saved per-source state (persist_state)
+  }
+
+  _log(...args) {
+    if (this.config.debug_mode) {
+      const cardId = this.card?._cardId || 'unknown-card';
+      console.log(`[CompositeProvider:${cardId}]`, ...args);
+    }
+  }
+
+  async initialize() {
+    const entries = (this.config.sources || []).filter(entry => entry && typeof entry === 'object');
+
+    for (const [index, entry] of entries.entries()) {
+      const weight = Number(entry.weight ?? 1);
+      if (!(weight > 0)) {
+        console.warn('[CompositeProvider] Skipping source with invalid weight:', entry);
+        continue;
+      }
+
+      const sourceConfig = this._buildSourceConfig(entry);
+      const name = entry.name
+        || (sourceConfig.folder?.path || '').split('/').filter(Boolean).pop()
+        || `source ${index + 1}`;
+
+      let provider;
+      switch (sourceConfig.media_source_type) {
+        case 'folder':
+          if (!sourceConfig.folder?.path) {
+            console.warn('[CompositeProvider] Skipping folder source without folder.path:', name);
+            continue;
+          }
+          provider = new FolderProvider(sourceConfig, this.hass, this._createSourceCard(entry));
+          break;
+
+        case 'playlist':
+          provider = new PlaylistProvider(sourceConfig, this.hass, this._createSourceCard(entry));
+          break;
+
+        default:
+          console.warn('[CompositeProvider] Unsupported source type:', sourceConfig.media_source_type, '- skipping', name);
+          continue;
+      }
+
+      // Keyed by position in sources: - names default to the folder name and can repeat
+      const saved = this._restoredState?.sources?.[index];
+      if (saved?.provider) {
+        provider.deserialize(saved.provider);
+      }
+
+      try {
+        const success = await provider.initialize();
+        if (!success) {
+          console.warn('[CompositeProvider] Source failed to initialize - skipping:', name);
+          continue;
+        }
+      } catch (error) {
+        console.warn('[CompositeProvider] Source failed to initialize - skipping:', name, error);
+        continue;
+      }
+
+      this.sources.push({ index, name, weight, provider, current: saved?.current || 0, exhausted: false });
+      this._log(`🔀 Source ready: ${name} (weight ${weight})`);
+    }
+
+    if (this.sources.length === 0) {
+      console.warn('[CompositeProvider] No usable sources configured');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Source entries override card-level settings (folder, filters, media_index, ...)
+   */
+  _buildSourceConfig(entry) {
+    const { weight, name, sources, ...overrides } = entry;
+    const { sources: _cardSources, ...cardConfig } = this.config;
+
+    return {
+      ...cardConfig,
+      ...overrides,
+      media_source_type: overrides.media_source_type || 'folder'
+    };
+  }
+
+  /**
+   * Providers read compiled excluded_paths from card._excludedPathPatterns.
+   * Give each source its own view of the card with the card-level patterns plus
+   * the source's own, forwarding everything else (history, queue, events) to the real card.
+   */
+  _createSourceCard(entry) {
+    if (!this.card) return null;
+
+    const patterns = [
+      ...(this.card._excludedPathPatterns || []),
+      ...MediaProvider.compileExcludedPathPatterns(entry.excluded_paths)
+    ];
+    const card = this.card;
+
+    return new Proxy(card, {
+      get(target, prop) {
+        if (prop === '_excludedPathPatterns') return patterns;
+        const value = Reflect.get(target, prop, target);
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+      set(target, prop, value) {
+        return Reflect.set(target, prop, value, target);
+      }
+    });
+  }
+
+  async getNext() {
+    // Try each source at most once per call - exhausted sources sit out until reset()
+    for (let attempt = 0; attempt < this.sources.length; attempt++) {
+      const source = this._pickSource();
+      if (!source) break;
+
+      const item = await source.provider.getNext();
+      if (!item) {
+        this._log(`🔀 Source exhausted: ${source.name}`);
+        source.exhausted = true;
+        continue;
+      }
+
+      this._rememberItemSource(item, source);
+      this._log(`🔀 ${source.name}:`, item.media_content_id);
+      return item;
+    }
+
+    return null;
+  }
+
+  /**
+   * Smooth weighted round-robin (same scheme as nginx upstream weights)
+   */
+  _pickSource() {
+    const active = this.sources.filter(source => !source.exhausted);
+    if (active.length === 0) return null;
+
+    const totalWeight = active.reduce((sum, source) => sum + source.weight, 0);
+    let best = null;
+    for (const source of active) {
+      source.current += source.weight;
+      if (!best || source.current > best.current) {
+        best = source;
+      }
+    }
+    best.current -= totalWeight;
+    return best;
+  }
+
+  _rememberItemSource(item, source) {
+    this._itemSources.set(item.media_content_id, source);
+
+    // Keep the lookup bounded - only recent items can still be checked or shown
+    if (this._itemSources.size > 1000) {
+      const oldestKey = this._itemSources.keys().next().value;
+      this._itemSources.delete(oldestKey);
+    }
+  }
+
+  async checkFileExists(mediaItem) {
+    const source = this._itemSources.get(mediaItem?.media_content_id);
+    if (source && typeof source.provider.checkFileExists === 'function') {
+      return await source.provider.checkFileExists(mediaItem);
+    }
+    return null;
+  }
+
+  excludeFile(path) {
+    if (!path) return;
+
+    for (const source of this.sources) {
+      if (typeof source.provider.excludeFile === 'function') {
+        source.provider.excludeFile(path);
+      }
+    }
+  }
+
+  /**
+   * Start every source over - used when the card wraps the slideshow
+   */
+  async reset() {
+    this._log('🔄 Resetting all sources');
+
+    for (const source of this.sources) {
+      if (typeof source.provider.reset === 'function') {
+        await source.provider.reset();
+      } else {
+        await source.provider.initialize();
+      }
+      source.current = 0;
+      source.exhausted = false;
+    }
+    return true;
+  }
+
+  // V5.9: Only the source that supplied the shown item moves its resume checkpoint
+  checkpointAfter(item) {
+    const source = this._itemSources.get(item?.media_content_id);
+    if (source && typeof source.provider.checkpointAfter === 'function') {
+      source.provider.checkpointAfter(item);
+    }
+  }
+
+  // V5.9: Restart button - every source starts over
+  clearCheckpoint() {
+    for (const source of this.sources) {
+      if (typeof source.provider.clearCheckpoint === 'function') {
+        source.provider.clearCheckpoint();
+      }
+    }
+  }
+
+  /**
+   * V5.9: Save each source's provider state and round-robin position, keyed by its index in sources:
+   */
+  serialize() {
+    const sources = {};
+    for (const source of this.sources) {
+      sources[source.index] = {
+        current: source.current,
+        provider: source.provider.serialize()
+      };
+    }
+    return { ...super.serialize(), sources };
+  }
+
+  // V5.9: Sources are created in initialize() - keep the data until then
+  deserialize(data) {
+    super.deserialize(data);
+    this._restoredState = data;
+  }
+
+  dispose() {
+    for (const source of this.sources) {
+      if (source.provider?.dispose) {
+        source.provider.dispose();
+      }
+    }
+    this.sources = [];
+    this._itemSources.clear();
+  }
+}
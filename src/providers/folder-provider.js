@@ -1,5 +1,6 @@
 import { MediaProvider } from '../core/media-provider.js';
 import { MediaIndexHelper } from '../core/media-index-helper.js';
+import { StateStore } from '../core/state-store.js';
 import { MediaIndexProvider } from './media-index-provider.js';
 import { SequentialMediaIndexProvider } from './sequential-media-index-provider.js';
 import { SubfolderQueue } from './subfolder-queue.js';
@@ -12,6 +13,7 @@ export class FolderProvider extends MediaProvider {
     super(config, hass);
     this.subfolderQueue = null;
     this.card = card; // V5: Reference to card for accessing navigation history
+    this._restoredState = null; // V5.9: Saved state for the inner provider (persist_state)
     
     // Create a card-like object for SubfolderQueue (V4 compatibility)
     this.cardAdapter = {
@@ -109,6 +111,9 @@ export class FolderProvider extends MediaProvider {
         // Full sequential mode with database ordering
         this.cardAdapter._log('Using SequentialMediaIndexProvider for ordered queries');
         this.sequentialProvider = new SequentialMediaIndexProvider(this.config, this.hass, this.card);
+        if (this._restoredState?.sequential) {
+          this.sequentialProvider.deserialize(this._restoredState.sequential);
+        }
         const success = await this.sequentialProvider.initialize();
         
         if (!success) {
@@ -155,6 +160,9 @@ export class FolderProvider extends MediaProvider {
         this.cardAdapter.config = adaptedConfig;
         
         this.subfolderQueue = new SubfolderQueue(this.cardAdapter);
+        if (this._restoredState?.subfolderQueue) {
+          this.subfolderQueue.deserialize(this._restoredState.subfolderQueue);
+        }
         const success = await this.subfolderQueue.initialize();
         
         if (!success) {
@@ -166,6 +174,14 @@ export class FolderProvider extends MediaProvider {
         // Sequential mode sorts by extracted Reolink timestamps (or filenames) during file processing
         // Post-scan sort by date_taken would reorder since EXIF dates aren't available yet
         this.cardAdapter._log('✅ SubfolderQueue initialized (sequential mode - preserving scan order)');
+        
+        // V5.9: Continue after the last item shown before the restart
+        if (this.config.folder?.sequential?.resume === true && !this._restoredState?.subfolderQueue) {
+          const checkpoint = StateStore.loadCheckpoint(this.config);
+          if (checkpoint?.media_content_id) {
+            this.subfolderQueue.resumeAfter(checkpoint.media_content_id);
+          }
+        }
         return true;
       }
     }
@@ -237,6 +253,9 @@ export class FolderProvider extends MediaProvider {
         this.cardAdapter._log('SubfolderQueue created, calling initialize...');
         this.cardAdapter._log('cardAdapter config:', this.cardAdapter.config);
         this.cardAdapter._log('cardAdapter._debugMode:', this.cardAdapter._debugMode);
+        if (this._restoredState?.subfolderQueue) {
+          this.subfolderQueue.deserialize(this._restoredState.subfolderQueue);
+        }
         
         const success = await this.subfolderQueue.initialize();
         
@@ -543,5 +562,44 @@ export class FolderProvider extends MediaProvider {
     return false;
   }
 
+  // V5.9: Item is on screen - sequential mode resumes after it (folder.sequential.resume)
+  checkpointAfter(item) {
+    if (this.sequentialProvider) {
+      this.sequentialProvider.checkpointAfter(item);
+      return;
+    }
+    if (this.subfolderQueue && item?.media_content_id &&
+        this.config.folder?.mode === 'sequential' && this.config.folder?.sequential?.resume === true) {
+      StateStore.saveCheckpoint(this.config, { media_content_id: item.media_content_id });
+    }
+  }
+
+  // V5.9: Forget the sequential resume checkpoint (restart button)
+  clearCheckpoint() {
+    if (this.sequentialProvider) {
+      this.sequentialProvider.clearCheckpoint();
+    } else {
+      StateStore.clearCheckpoint(this.config);
+    }
+  }
+
+  /**
+   * V5.9: Save the active inner provider's state (persist_state)
+   * MediaIndexProvider needs nothing here - it excludes items via the card's history
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      sequential: this.sequentialProvider?.serialize() || null,
+      subfolderQueue: this.subfolderQueue?.serialize() || null
+    };
+  }
+
+  // V5.9: Inner providers are created in initialize() - keep the data until then
+  deserialize(data) {
+    super.deserialize(data);
+    this._restoredState = data;
+  }
+
 }
 
@@ -49,6 +49,10 @@ export class MediaIndexProvider extends MediaProvider {
     const activeFilters = [];
     
     if (filters.favorites) activeFilters.push('favorites');
+    if (filters.people) activeFilters.push('people');
+    if (filters.location) activeFilters.push('location');
+    if (filters.camera) activeFilters.push('camera');
+    if (filters.orientation) activeFilters.push('orientation');
     if (filters.date_range?.start || filters.date_range?.end) activeFilters.push('date_range');
     
     const stats = {
@@ -57,6 +61,11 @@ export class MediaIndexProvider extends MediaProvider {
       filters_active: activeFilters,
       filter_config: {
         favorites: filters.favorites || null,
+        people: filters.people || null,
+        people_match: filters.people ? (filters.people_match || 'all') : null,
+        location: filters.location || null,
+        camera: filters.camera || null,
+        orientation: filters.orientation || null,
         date_from: filters.date_range?.start || null,
         date_to: filters.date_range?.end || null
       },
@@ -204,12 +213,22 @@ export class MediaIndexProvider extends MediaProvider {
       const hasFavoritesFilter = filters.favorites === true || (typeof filters.favorites === 'string' && filters.favorites.trim().length > 0);
       const hasDateFromFilter = filters.date_range?.start && filters.date_range.start.trim().length > 0;
       const hasDateToFilter = filters.date_range?.end && filters.date_range.end.trim().length > 0;
-      const hasFilters = hasFavoritesFilter || hasDateFromFilter || hasDateToFilter;
+      const hasMinRatingFilter = MediaProvider.resolveMinRating(filters.min_rating, this.hass) !== null; // V5.9
+      const hasPeopleFilter = !!MediaProvider.resolveListFilter(filters.people, this.hass); // V5.9
+      const hasLocationFilter = !!MediaProvider.resolveLocationFilter(filters.location, this.hass); // V5.9
+      const hasCameraFilter = !!MediaProvider.resolveListFilter(filters.camera, this.hass); // V5.9
+      const hasOrientationFilter = !!MediaProvider.resolveOrientationFilter(filters.orientation, this.hass); // V5.9
+      const hasFilters = hasFavoritesFilter || hasDateFromFilter || hasDateToFilter || hasMinRatingFilter || hasPeopleFilter || hasLocationFilter || hasCameraFilter || hasOrientationFilter;
       
       if (hasFilters) {
         // Filters are active - this is expected behavior, not an error
         console.warn('[MediaIndexProvider] ⚠️ No items match filter criteria:', {
           favorites: filters.favorites || false,
+          min_rating: filters.min_rating || 'none',
+          people: filters.people || 'none',
+          location: filters.location || 'none',
+          camera: filters.camera || 'none',
+          orientation: filters.orientation || 'none',
           date_range: filters.date_range || 'none'
         });
         console.warn('[MediaIndexProvider] 💡 Try adjusting your filters or verify files match criteria');
@@ -260,6 +279,18 @@ export class MediaIndexProvider extends MediaProvider {
     if (filters.date_range?.end && typeof filters.date_range.end === 'string' && filters.date_range.end.includes('.')) {
       entityIds.push(filters.date_range.end);
     }
+    if (MediaProvider.isMinRatingEntity(filters.min_rating)) {
+      entityIds.push(filters.min_rating);
+    }
+    if (MediaProvider.isListFilterEntity(filters.people)) {
+      entityIds.push(filters.people);
+    }
+    if (MediaProvider.isListFilterEntity(filters.camera)) {
+      entityIds.push(filters.camera);
+    }
+    if (MediaProvider.isListFilterEntity(filters.orientation)) {
+      entityIds.push(filters.orientation);
+    }
     
     if (entityIds.length === 0) {
       this._log('No filter entities to subscribe to');
@@ -273,7 +304,11 @@ export class MediaIndexProvider extends MediaProvider {
     this._lastFilterValues = {
       favorites: await this._resolveFilterValue(filters.favorites, 'boolean'),
       date_from: await this._resolveFilterValue(filters.date_range?.start, 'date'),
-      date_to: await this._resolveFilterValue(filters.date_range?.end, 'date')
+      date_to: await this._resolveFilterValue(filters.date_range?.end, 'date'),
+      min_rating: MediaProvider.resolveMinRating(filters.min_rating, this.hass),
+      people: MediaProvider.resolveListFilter(filters.people, this.hass)?.join(',') || null,
+      camera: MediaProvider.resolveListFilter(filters.camera, this.hass)?.join(',') || null,
+      orientation: MediaProvider.resolveOrientationFilter(filters.orientation, this.hass)?.join(',') || null
     };
     
     this._log('📝 Initial filter values:', this._lastFilterValues);
@@ -311,7 +346,23 @@ export class MediaIndexProvider extends MediaProvider {
               filters.date_range?.end, 
               'date',
               filters.date_range?.end === changedEntityId ? newState : null
-            )
+            ),
+            min_rating: MediaProvider.resolveMinRating(
+              filters.min_rating === changedEntityId ? newState?.state : filters.min_rating,
+              this.hass
+            ),
+            people: MediaProvider.resolveListFilter(
+              filters.people === changedEntityId ? (newState?.state || '') : filters.people,
+              this.hass
+            )?.join(',') || null,
+            camera: MediaProvider.resolveListFilter(
+              filters.camera === changedEntityId ? (newState?.state || '') : filters.camera,
+              this.hass
+            )?.join(',') || null,
+            orientation: MediaProvider.resolveOrientationFilter(
+              filters.orientation === changedEntityId ? (newState?.state || '') : filters.orientation,
+              this.hass
+            )?.join(',') || null
           };
           
           this._log('🔍 Resolved filter values:', currentFilters, 'vs last:', this._lastFilterValues);
@@ -320,7 +371,11 @@ export class MediaIndexProvider extends MediaProvider {
           const filtersChanged = 
             currentFilters.favorites !== this._lastFilterValues.favorites ||
             currentFilters.date_from !== this._lastFilterValues.date_from ||
-            currentFilters.date_to !== this._lastFilterValues.date_to;
+            currentFilters.date_to !== this._lastFilterValues.date_to ||
+            currentFilters.min_rating !== this._lastFilterValues.min_rating ||
+            currentFilters.people !== this._lastFilterValues.people ||
+            currentFilters.camera !== this._lastFilterValues.camera ||
+            currentFilters.orientation !== this._lastFilterValues.orientation;
           
           if (filtersChanged) {
             this._log('✨ Filter values changed, reloading queue:', currentFilters);
@@ -513,6 +568,15 @@ export class MediaIndexProvider extends MediaProvider {
           latitude: item.latitude,
           longitude: item.longitude,
           is_favorited: item.is_favorited || false,
+          rating: item.rating ?? null, // V5.9: 0-5 stars
+          people: item.people || null, // V5.9: Recognized faces
+          // V5.9: Camera and exposure (metadata overlay show_camera / show_exposure / ...)
+          camera_make: item.camera_make,
+          camera_model: item.camera_model,
+          iso: item.iso,
+          aperture: item.aperture,
+          shutter_speed: item.shutter_speed,
+          focal_length: item.focal_length,
           burst_count: item.burst_count || null,
           burst_favorites: item.burst_favorites || null
         }
@@ -567,12 +631,22 @@ export class MediaIndexProvider extends MediaProvider {
       const favoritesOnly = await this._resolveFilterValue(filters.favorites, 'boolean');
       const dateFrom = await this._resolveFilterValue(filters.date_range?.start, 'date');
       const dateTo = await this._resolveFilterValue(filters.date_range?.end, 'date');
+      const minRating = MediaProvider.resolveMinRating(filters.min_rating, this.hass);
+      const people = MediaProvider.resolveListFilter(filters.people, this.hass);
+      const location = MediaProvider.resolveLocationFilter(filters.location, this.hass);
+      const camera = MediaProvider.resolveListFilter(filters.camera, this.hass);
+      const orientation = MediaProvider.resolveOrientationFilter(filters.orientation, this.hass);
       
-      if (favoritesOnly || dateFrom || dateTo) {
+      if (favoritesOnly || dateFrom || dateTo || minRating || people || location || camera || orientation) {
         this._log('🔍 Active filters:', {
           favorites_only: favoritesOnly,
           date_from: dateFrom,
-          date_to: dateTo
+          date_to: dateTo,
+          min_rating: minRating,
+          people: people,
+          location: location,
+          camera: camera,
+          orientation: orientation
         });
       }
       
@@ -592,6 +666,15 @@ export class MediaIndexProvider extends MediaProvider {
           // V5.3: Date range filter (uses EXIF date_taken with fallback to created_time)
           date_from: dateFrom || undefined,
           date_to: dateTo || undefined,
+          // V5.9: Face recognition filter - all (default) or any of the people must appear
+          people: people || undefined,
+          people_match: people ? (filters.people_match === 'any' ? 'any' : 'all') : undefined,
+          // V5.9: Location filter - place names and/or a radius around a point or zone
+          ...(location || {}),
+          // V5.9: Camera filter - matched against EXIF camera make or model
+          camera: camera || undefined,
+          // V5.9: Orientation filter - portrait / landscape / square (from image dimensions)
+          orientation: orientation || undefined,
           // V5 FEATURE: Priority new files - prepend recently indexed files to results
           // Note: Recently indexed = newly discovered by scanner, not necessarily new files
           priority_new_files: priorityNewFiles,
@@ -651,6 +734,11 @@ export class MediaIndexProvider extends MediaProvider {
             }
           }
           
+          // V5.9: filters.min_rating - get_random_items has no rating parameter
+          if (minRating !== null && (item.rating || 0) < minRating) {
+            return false;
+          }
+          
           // V4 CODE: Filter out unsupported media formats
           const fileName = item.path.split('/').pop() || item.path;
           const extension = fileName.split('.').pop()?.toLowerCase();
@@ -0,0 +1,232 @@
+import { MediaProvider } from '../core/media-provider.js';
+
+/**
+ * PlaylistProvider - Plays an explicit list of media items
+ * V5.9: Items come from inline YAML, an input_text / todo entity, or a JSON / M3U file under /local
+ */
+export class PlaylistProvider extends MediaProvider {
+  constructor(config, hass, card = null) {
+    super(config, hass);
+    this.card = card;
+    this.playlistConfig = config.playlist || {};
+    this.mode = this.playlistConfig.mode === 'random' ? 'random' : 'sequential';
+    this.loop = this.playlistConfig.loop !== false;
+    this.entries = [];   // Normalized media-source URIs / URLs in playlist order
+    this.order = [];     // Indexes into entries for the current pass (shuffled in random mode)
+    this.position = 0;   // Next position in order
+  }
+
+  _log(...args) {
+    if (this.config.debug_mode) {
+      const cardId = this.card?._cardId || 'unknown-card';
+      console.log(`[PlaylistProvider:${cardId}]`, ...args);
+    }
+  }
+
+  async initialize() {
+    const entries = await this._loadEntries();
+
+    if (entries.length === 0) {
+      console.warn('[PlaylistProvider] Playlist is empty - configure playlist.items, playlist.entity or playlist.url');
+      return false;
+    }
+
+    this._log(`📃 Loaded ${entries.length} playlist items (mode: ${this.mode}, loop: ${this.loop})`);
+
+    // V5.9: Continue a restored pass (persist_state) as long as the playlist hasn't changed
+    const unchanged = this.order.length === entries.length &&
+      this.entries.length === entries.length &&
+      this.entries.every((entry, index) => entry === entries[index]);
+    this.entries = entries;
+    if (unchanged && this.position < this.order.length) {
+      this._log(`📃 Resuming playlist at position ${this.position + 1}`);
+    } else {
+      this._startPass();
+    }
+    return true;
+  }
+
+  async getNext() {
+    if (this.position >= this.order.length) {
+      // End of pass - card wraps via reset() (or stops when loop is off)
+      this._log('📃 End of playlist reached');
+      return null;
+    }
+
+    const mediaId = this.entries[this.order[this.position++]];
+
+    // V5: Use shared metadata extraction helper (path-based + optional EXIF)
+    const metadata = await MediaProvider.extractMetadataWithExif(mediaId, this.config, this.hass);
+
+    return {
+      media_content_id: mediaId,
+      title: MediaProvider.extractFilename(mediaId),
+      media_content_type: MediaProvider.detectMediaType(mediaId),
+      metadata: metadata
+    };
+  }
+
+  /**
+   * Start over from the first item - re-reads entity/file sources so edits to the
+   * playlist are picked up on every loop, and reshuffles in random mode
+   */
+  async reset() {
+    const entries = await this._loadEntries();
+    if (entries.length > 0) {
+      this.entries = entries;
+    }
+    this._startPass();
+  }
+
+  /**
+   * Card asks this before wrapping to the beginning - playlists with loop: false stop at the end
+   */
+  canWrap() {
+    return this.loop;
+  }
+
+  /**
+   * Drop a missing file from the playlist (called by the card after a 404)
+   */
+  excludeFile(path) {
+    const index = this.entries.indexOf(this._normalizePath(path));
+    if (index < 0) return;
+
+    this.entries.splice(index, 1);
+    const orderPosition = this.order.indexOf(index);
+    this.order = this.order
+      .filter(i => i !== index)
+      .map(i => (i > index ? i - 1 : i));
+    if (orderPosition >= 0 && orderPosition < this.position) {
+      this.position--;
+    }
+    this._log('🚫 Removed from playlist:', path);
+  }
+
+  _startPass() {
+    this.order = this.entries.map((_, index) => index);
+
+    if (this.mode === 'random') {
+      // Fisher-Yates shuffle
+      for (let i = this.order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [this.order[i], this.order[j]] = [this.order[j], this.order[i]];
+      }
+    }
+
+    this.position = 0;
+  }
+
+  async _loadEntries() {
+    let rawItems = [];
+
+    try {
+      if (Array.isArray(this.playlistConfig.items)) {
+        rawItems = this.playlistConfig.items;
+      } else if (this.playlistConfig.entity) {
+        rawItems = await this._loadFromEntity(this.playlistConfig.entity);
+      } else if (this.playlistConfig.url) {
+        rawItems = await this._loadFromUrl(this.playlistConfig.url);
+      }
+    } catch (error) {
+      console.warn('[PlaylistProvider] Failed to load playlist:', error);
+      return [];
+    }
+
+    return rawItems
+      .map(item => (typeof item === 'object' && item !== null)
+        ? (item.media_content_id || item.path || '')
+        : String(item ?? ''))
+      .map(item => this._normalizePath(item.trim()))
+      .filter(item => item && !this._isExcluded(item));
+  }
+
+  // V5.9: Honor excluded_paths (card-level, plus the source's own when part of sources:)
+  _isExcluded(mediaId) {
+    const result = MediaProvider.matchesExcludedPath(mediaId, this.card?._excludedPathPatterns);
+    if (result.excluded) {
+      this._log(`🚫 Path pattern excluded: "${result.matchedPattern}" matches ${mediaId}`);
+    }
+    return result.excluded;
+  }
+
+  async _loadFromEntity(entityId) {
+    if (entityId.startsWith('todo.')) {
+      // Each open to-do item's summary is one playlist entry
+      const result = await this.hass.callWS({
+        type: 'todo/item/list',
+        entity_id: entityId
+      });
+      return (result?.items || [])
+        .filter(item => item.status !== 'completed')
+        .map(item => item.summary);
+    }
+
+    // input_text: JSON array, or paths separated by commas / new lines
+    const state = this.hass?.states?.[entityId]?.state;
+    if (!state || state === 'unknown' || state === 'unavailable') {
+      console.warn('[PlaylistProvider] Playlist entity has no value:', entityId);
+      return [];
+    }
+    return this._parseList(state);
+  }
+
+  async _loadFromUrl(url) {
+    // Cache-bust so edits to the file show up on the next loop
+    const separator = url.includes('?') ? '&' : '?';
+    const response = await fetch(`${url}${separator}t=${Date.now()}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${url}`);
+    }
+
+    const text = await response.text();
+    const baseUrl = url.split('?')[0].replace(/[^/]*$/, '');
+
+    if (/\.json$/i.test(url.split('?')[0])) {
+      const data = JSON.parse(text);
+      return Array.isArray(data) ? data : (data.items || []);
+    }
+
+    // M3U / M3U8: one entry per line, '#' lines are directives or comments
+    // Relative entries are resolved against the playlist file's folder
+    return text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => (line.startsWith('/') || line.includes('://')) ? line : baseUrl + line);
+  }
+
+  _parseList(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        console.warn('[PlaylistProvider] Invalid JSON playlist:', error.message);
+        return [];
+      }
+    }
+    return trimmed.split(/[,\n]/);
+  }
+
+  _normalizePath(path) {
+    // Convert local media paths to media-source format (same as the card's URL resolution)
+    if (path.startsWith('/media/')) {
+      return 'media-source://media_source' + path;
+    }
+    return path;
+  }
+
+  serialize() {
+    return {
+      entries: this.entries,
+      order: this.order,
+      position: this.position
+    };
+  }
+
+  deserialize(data) {
+    this.entries = data.entries || [];
+    this.order = data.order || [];
+    this.position = data.position || 0;
+  }
+}
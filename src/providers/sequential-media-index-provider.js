@@ -1,5 +1,6 @@
 import { MediaProvider } from '../core/media-provider.js';
 import { MediaUtils } from '../core/media-utils.js';
+import { StateStore } from '../core/state-store.js';
 
 /**
  * SEQUENTIAL MEDIA INDEX PROVIDER - Database-backed ordered queries
@@ -18,6 +19,7 @@ export class SequentialMediaIndexProvider extends MediaProvider {
     this.orderBy = config.folder?.sequential?.order_by || 'date_taken';
     this.orderDirection = config.folder?.sequential?.order_direction || 'desc';
     this.recursive = config.folder?.recursive !== false; // Default true
+    this.resume = config.folder?.sequential?.resume === true; // V5.9: Continue from the checkpoint after a restart
     this.lastSeenValue = null; // Cursor for pagination (sort value)
     this.lastSeenId = null; // Secondary cursor for tie-breaking (row id)
     this.hasMore = true; // Flag to track if more items available
@@ -25,6 +27,7 @@ export class SequentialMediaIndexProvider extends MediaProvider {
     // Prevents further navigation attempts and unnecessary service calls
     this.reachedEnd = false;
     this.disableAutoLoop = false; // V5.3: Prevent auto-loop during pre-load
+    this._shownCursor = null; // V5.9: Cursor of the last item shown on screen (persist_state)
   }
 
   _log(...args) {
@@ -92,8 +95,29 @@ export class SequentialMediaIndexProvider extends MediaProvider {
       return false;
     }
     
+    // V5.9: Start after the last item shown before the restart (unless persist_state already restored a cursor)
+    if (this.resume && this.lastSeenValue === null) {
+      const checkpoint = StateStore.loadCheckpoint(this.config);
+      if (checkpoint?.lastSeenValue !== undefined && checkpoint.lastSeenValue !== null) {
+        this.lastSeenValue = checkpoint.lastSeenValue;
+        this.lastSeenId = checkpoint.lastSeenId ?? null;
+        this._shownCursor = { value: this.lastSeenValue, id: this.lastSeenId };
+        this._log('⏯️ Resuming from checkpoint:', this.lastSeenValue, this.lastSeenId);
+      }
+    }
+    
     // Initial query to fill queue
-    const items = await this._queryOrderedFiles();
+    let items = await this._queryOrderedFiles();
+    
+    // V5.9: Checkpoint was at the very end - start the sequence over
+    if ((!items || items.length === 0) && this._shownCursor) {
+      this._log('⏯️ Nothing after the checkpoint - starting from the beginning');
+      this.lastSeenValue = null;
+      this.lastSeenId = null;
+      this._shownCursor = null;
+      this.hasMore = true;
+      items = await this._queryOrderedFiles();
+    }
     
     if (!items || items.length === 0) {
       console.warn('[SequentialMediaIndexProvider] No items returned from media_index');
@@ -176,6 +200,8 @@ export class SequentialMediaIndexProvider extends MediaProvider {
       // V5.6.8: Cursor is now managed by _queryOrderedFiles() after client-side sort
       // DO NOT update cursor here - it would overwrite the correct end-of-batch cursor
       // with the cursor of the item being returned, causing duplicate fetches
+      // V5.9: Remember it separately - a reload resumes after this item, not after the batch
+      const sequenceCursor = { value: this._cursorValueFor(item), id: item.id ?? null };
       
       // Extract metadata using MediaProvider helper (V5 architecture)
       const pathMetadata = MediaProvider.extractMetadataFromPath(item.path, this.config);
@@ -192,6 +218,7 @@ export class SequentialMediaIndexProvider extends MediaProvider {
         path: item.path,
         media_source_uri: item.media_source_uri,
         filename: pathMetadata.filename,
+        sequence_cursor: sequenceCursor, // V5.9: checkpointAfter() - resume after this item once it is shown
         metadata: {
           ...pathMetadata,
           // EXIF data from media_index backend
@@ -207,7 +234,16 @@ export class SequentialMediaIndexProvider extends MediaProvider {
           is_geocoded: item.is_geocoded || false,
           latitude: item.latitude,
           longitude: item.longitude,
-          is_favorited: item.is_favorited || false
+          is_favorited: item.is_favorited || false,
+          rating: item.rating ?? null, // V5.9: 0-5 stars
+          people: item.people || null, // V5.9: Recognized faces
+          // V5.9: Camera and exposure (metadata overlay show_camera / show_exposure / ...)
+          camera_make: item.camera_make,
+          camera_model: item.camera_model,
+          iso: item.iso,
+          aperture: item.aperture,
+          shutter_speed: item.shutter_speed,
+          focal_length: item.focal_length
         }
       };
     }
@@ -216,6 +252,19 @@ export class SequentialMediaIndexProvider extends MediaProvider {
     return null;
   }
 
+  // V5.9: People, location, camera and orientation filters shared by every get_ordered_files query
+  _filterServiceData() {
+    const filters = this.config.filters || {};
+    const people = MediaProvider.resolveListFilter(filters.people, this.hass);
+    return {
+      people: people || undefined,
+      people_match: people ? (filters.people_match === 'any' ? 'any' : 'all') : undefined,
+      ...(MediaProvider.resolveLocationFilter(filters.location, this.hass) || {}),
+      camera: MediaProvider.resolveListFilter(filters.camera, this.hass) || undefined,
+      orientation: MediaProvider.resolveOrientationFilter(filters.orientation, this.hass) || undefined
+    };
+  }
+
   // Query ordered files from media_index (similar to _queryMediaIndex but different service)
   // V5.6.8: Now fetches additional batches if too many items are excluded (404s)
   async _queryOrderedFiles() {
@@ -262,6 +311,8 @@ export class SequentialMediaIndexProvider extends MediaProvider {
       // only a few valid items per batch (not all-excluded, so consecutive counter keeps resetting).
       // 20 iterations × queueSize items/batch gives a reasonable upper bound on backend load.
       const MAX_ITERATIONS = 20;
+      // V5.9: get_ordered_files has no rating parameter - lower-rated items are dropped below
+      const minRating = MediaProvider.resolveMinRating(this.config.filters?.min_rating, this.hass);
       
       // Keep fetching batches until we have enough valid items OR database is exhausted
       while (allFilteredItems.length < this.queueSize && consecutiveAllExcludedBatches < MAX_CONSECUTIVE_EXCLUDED && iteration < MAX_ITERATIONS) {
@@ -278,7 +329,9 @@ export class SequentialMediaIndexProvider extends MediaProvider {
           // V5 FEATURE: Priority new files - prepend recently indexed files to results
           // Note: Recently indexed = newly discovered by scanner, not necessarily new files
           priority_new_files: this.config.folder?.priority_new_files || false,
-          new_files_threshold_seconds: this.config.folder?.new_files_threshold_seconds || 3600
+          new_files_threshold_seconds: this.config.folder?.new_files_threshold_seconds || 3600,
+          // V5.9: People, location, camera and orientation filters
+          ...this._filterServiceData()
         };
         
         // Add compound cursor for pagination (if we've seen items before)
@@ -356,6 +409,11 @@ export class SequentialMediaIndexProvider extends MediaProvider {
             return false;
           }
           
+          // V5.9: filters.min_rating
+          if (minRating !== null && (item.rating || 0) < minRating) {
+            return false;
+          }
+          
           // Filter unsupported formats
           const fileName = item.path.split('/').pop() || item.path;
           const extension = fileName.split('.').pop()?.toLowerCase();
@@ -499,7 +557,16 @@ export class SequentialMediaIndexProvider extends MediaProvider {
           is_geocoded: item.is_geocoded || false,
           latitude: item.latitude,
           longitude: item.longitude,
-          is_favorited: item.is_favorited || false
+          is_favorited: item.is_favorited || false,
+          rating: item.rating ?? null, // V5.9: 0-5 stars
+          people: item.people || null, // V5.9: Recognized faces
+          // V5.9: Camera and exposure (metadata overlay show_camera / show_exposure / ...)
+          camera_make: item.camera_make,
+          camera_model: item.camera_model,
+          iso: item.iso,
+          aperture: item.aperture,
+          shutter_speed: item.shutter_speed,
+          focal_length: item.focal_length
         };
       }));
       
@@ -578,12 +645,49 @@ export class SequentialMediaIndexProvider extends MediaProvider {
     return false;
   }
 
+  // V5.9: Sort value of an item in the same form _queryOrderedFiles() uses for the cursor
+  _cursorValueFor(item) {
+    switch (this.orderBy) {
+      case 'date_taken':
+        return this._toUnixTimestamp(item.date_taken) ||
+               this._toUnixTimestamp(item.modified_time) ||
+               this._toUnixTimestamp(item.created_time);
+      case 'filename':
+        return item.filename;
+      case 'modified_time':
+        return this._toUnixTimestamp(item.modified_time);
+      default:
+        return item.path;
+    }
+  }
+
+  /**
+   * V5.9: The card calls this once an item is on screen (folder.sequential.resume, persist_state)
+   * Items prefetched into the navigation queue are not checkpointed until they are shown
+   */
+  checkpointAfter(item) {
+    if (!item?.sequence_cursor) return;
+    this._shownCursor = item.sequence_cursor;
+    if (!this.resume) return;
+    StateStore.saveCheckpoint(this.config, {
+      lastSeenValue: item.sequence_cursor.value,
+      lastSeenId: item.sequence_cursor.id
+    });
+  }
+
+  // V5.9: Forget the resume checkpoint (restart button)
+  clearCheckpoint() {
+    StateStore.clearCheckpoint(this.config);
+    this._shownCursor = null;
+  }
+
   // Reset to beginning of sequence (for loop functionality)
   reset() {
     this._log('Resetting to beginning of sequence');
     this.queue = [];
     this.lastSeenValue = null;
     this.lastSeenId = null;  // V5.6.8: Also reset the secondary cursor
+    this._shownCursor = null;
     this.hasMore = true;
     this.reachedEnd = false;
     return this.initialize();
@@ -615,7 +719,8 @@ export class SequentialMediaIndexProvider extends MediaProvider {
         file_type: this.config.media_type === 'all' ? undefined : this.config.media_type,
         order_by: this.orderBy,
         order_direction: this.orderDirection,
-        date_taken_after: dateThreshold // Filter for files newer than threshold
+        date_taken_after: dateThreshold, // Filter for files newer than threshold
+        ...this._filterServiceData() // V5.9
       };
       
       const wsCall = {
@@ -729,7 +834,8 @@ export class SequentialMediaIndexProvider extends MediaProvider {
         recursive: this.recursive,
         file_type: this.config.media_type === 'all' ? undefined : this.config.media_type,
         order_by: this.orderBy,
-        order_direction: this.orderDirection
+        order_direction: this.orderDirection,
+        ...this._filterServiceData() // V5.9
         // No cursor - query from beginning
       };
       
@@ -797,7 +903,16 @@ export class SequentialMediaIndexProvider extends MediaProvider {
             is_geocoded: item.is_geocoded || false,
             latitude: item.latitude,
             longitude: item.longitude,
-            is_favorited: item.is_favorited || false
+            is_favorited: item.is_favorited || false,
+            rating: item.rating ?? null, // V5.9: 0-5 stars
+            people: item.people || null, // V5.9: Recognized faces
+            // V5.9: Camera and exposure (metadata overlay show_camera / show_exposure / ...)
+            camera_make: item.camera_make,
+            camera_model: item.camera_model,
+            iso: item.iso,
+            aperture: item.aperture,
+            shutter_speed: item.shutter_speed,
+            focal_length: item.focal_length
           }
         });
       }
@@ -810,5 +925,27 @@ export class SequentialMediaIndexProvider extends MediaProvider {
       return [];
     }
   }
-}
 
+  /**
+   * V5.9: Save the cursor of the last item shown (persist_state)
+   * Items still waiting in this.queue, or prefetched but not shown yet, are fetched again after a reload
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      lastSeenValue: this._shownCursor?.value ?? null,
+      lastSeenId: this._shownCursor?.id ?? null
+    };
+  }
+
+  // V5.9: Called before initialize() so the first query starts after the saved cursor
+  deserialize(data) {
+    super.deserialize(data);
+    this.lastSeenValue = data.lastSeenValue ?? null;
+    this.lastSeenId = data.lastSeenId ?? null;
+    if (this.lastSeenValue !== null) {
+      this._shownCursor = { value: this.lastSeenValue, id: this.lastSeenId };
+      this._log('📍 Restored cursor:', this.lastSeenValue, this.lastSeenId);
+    }
+  }
+}
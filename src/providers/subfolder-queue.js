@@ -1560,6 +1560,39 @@ export class SubfolderQueue {
     
     return await this.initialize();
   }
+
+  /**
+   * V5.9: Sequential resume (folder.sequential.resume) - skip everything up to and including
+   * the checkpoint item. Only works while that item is within the scanned slideshow_window.
+   * @returns {boolean} true when the checkpoint item was found
+   */
+  resumeAfter(mediaContentId) {
+    const index = this.queue.findIndex(item => item.media_content_id === mediaContentId);
+    if (index < 0) {
+      this._log('⏯️ Checkpoint item not in scanned queue - starting from the beginning:', mediaContentId);
+      return false;
+    }
+
+    const skipped = this.queue.splice(0, index + 1);
+    skipped.forEach(item => this.shownItems.add(item.media_content_id));
+    this._log('⏯️ Resuming after checkpoint - skipped', skipped.length, 'items');
+    return true;
+  }
+
+  /**
+   * V5.9: Already-shown items survive a browser reload (persist_state)
+   * The scanned queue itself is rebuilt on initialize - only shownItems is saved
+   */
+  serialize() {
+    return {
+      shownItems: Array.from(this.shownItems)
+    };
+  }
+
+  deserialize(data) {
+    this.shownItems = new Set(data?.shownItems || []);
+    this._log('📚 Restored', this.shownItems.size, 'shown items');
+  }
 }
 
 /**
@@ -1,6 +1,8 @@
 import { LitElement, html, css } from 'https://cdn.jsdelivr.net/gh/lit/dist@3/core/lit-core.min.js';
 import { MediaProvider } from '../core/media-provider.js';
 import { MediaUtils } from '../core/media-utils.js';
+import { StateStore } from '../core/state-store.js';
+import { SoundtrackPlayer } from '../core/soundtrack-player.js';
 
 /**
  * MediaCard - Main card component
@@ -41,6 +43,22 @@ export class MediaCard extends LitElement {
     'vibration': { 'on': 'Detected', 'off': 'Clear' },
     'window': { 'on': 'Open', 'off': 'Closed' }
   };
+
+  // V5.9: Named transition effects for the crossfade layers (transition.effect)
+  // The visuals live in static styles, keyed on :host([data-transition-effect="<name>"]).
+  // slideSign: 1 = incoming image enters from the right, -1 = from the left (reversed on Back)
+  // randomPool: effect can be picked by 'random' (one effect chosen per image)
+  static TRANSITION_EFFECTS = {
+    'crossfade': { label: 'Crossfade', slideSign: 1, randomPool: true },
+    'slide-left': { label: 'Slide Left', slideSign: 1, randomPool: true },
+    'slide-right': { label: 'Slide Right', slideSign: -1, randomPool: true },
+    'push': { label: 'Push', slideSign: 1, randomPool: true },
+    'zoom-in': { label: 'Zoom In', slideSign: 1, randomPool: true },
+    'blur-dissolve': { label: 'Blur Dissolve', slideSign: 1, randomPool: true },
+    'cube': { label: 'Cube', slideSign: 1, randomPool: true },
+    'ken_burns': { label: 'Ken Burns (Pan & Zoom)', slideSign: 1, randomPool: false },
+    'random': { label: 'Random (per image)', slideSign: 1, randomPool: false }
+  };
   
   static properties = {
     hass: { attribute: false },
@@ -54,6 +72,9 @@ export class MediaCard extends LitElement {
 
   // V4: Image Zoom Helpers
   _zoomToPoint(img, xPercent, yPercent, level) {
+    // V5.9: Manual zoom takes over from any running Ken Burns motion
+    this._stopKenBurns(img);
+
     this._isImageZoomed = true;
     this._zoomOriginX = xPercent;
     this._zoomOriginY = yPercent;
@@ -76,6 +97,422 @@ export class MediaCard extends LitElement {
     }
   }
 
+  // V5.9: Pick the transition effect for the upcoming layer swap and expose it to CSS
+  // Directional effects follow navigation: Back plays them mirrored
+  _prepareTransitionEffect() {
+    const configured = this.config?.transition?.effect || 'crossfade';
+    let effect = MediaCard.TRANSITION_EFFECTS[configured] ? configured : 'crossfade';
+
+    if (effect === 'random') {
+      const pool = Object.keys(MediaCard.TRANSITION_EFFECTS)
+        .filter(name => MediaCard.TRANSITION_EFFECTS[name].randomPool);
+      effect = pool[Math.floor(Math.random() * pool.length)];
+    }
+
+    const navigationSign = this._navigationDirection === 'back' ? -1 : 1;
+    const slideSign = MediaCard.TRANSITION_EFFECTS[effect].slideSign * navigationSign;
+
+    this.setAttribute('data-transition-effect', effect);
+    this.style.setProperty('--transition-slide-sign', slideSign);
+    this._log(`🎨 Transition effect: ${effect} (${this._navigationDirection || 'forward'})`);
+  }
+
+  // V5.9: Ken Burns motion (transition.effect: ken_burns)
+  // Slowly pans and zooms each still image over its display time using the Web Animations API,
+  // so the motion can be paused/resumed together with the auto-advance timer.
+  _isKenBurnsEnabled() {
+    // Collage tiles fade individually - no motion on the grid
+    // V5.9: Live camera views stay still
+    return this.config?.transition?.effect === 'ken_burns' && !this._isCollageLayout() &&
+      !this._isCameraItem(this.currentMedia);
+  }
+
+  _startKenBurns(img) {
+    if (!img || typeof img.animate !== 'function') return;
+
+    this._stopKenBurns(img);
+
+    // A new image starts from its natural framing - drop any zoom left over from the previous one
+    if (this._isImageZoomed) {
+      this._resetZoom();
+    }
+    img.style.transform = '';
+    img.style.transformOrigin = '';
+
+    const kenBurns = this.config.transition?.ken_burns || {};
+    const zoomStart = Math.max(1.0, Math.min(3.0, Number(kenBurns.zoom_start) || 1.0));
+    const zoomEnd = Math.max(zoomStart, Math.min(3.0, Number(kenBurns.zoom_end) || 1.2));
+
+    // Direction: in | out | alternate | random (default)
+    let direction = kenBurns.direction || 'random';
+    if (direction === 'random') {
+      direction = Math.random() < 0.5 ? 'in' : 'out';
+    } else if (direction === 'alternate') {
+      direction = this._kenBurnsLastDirection === 'in' ? 'out' : 'in';
+    }
+    this._kenBurnsLastDirection = direction;
+
+    // Pan between a gently offset point and the focus point (faces when known, otherwise center)
+    const focus = this._getKenBurnsFocusPoint(this._currentMetadata);
+    const clampPercent = (value) => Math.max(0, Math.min(100, value));
+    const drift = {
+      x: clampPercent(focus.x + (Math.random() * 40 - 20)),
+      y: clampPercent(focus.y + (Math.random() * 40 - 20))
+    };
+    const [fromOrigin, toOrigin] = direction === 'out' ? [focus, drift] : [drift, focus];
+    const [fromScale, toScale] = direction === 'out' ? [zoomEnd, zoomStart] : [zoomStart, zoomEnd];
+
+    // Keep the layout transform from CSS (e.g. translate(-50%, -50%) on crossfade layers)
+    const computedTransform = getComputedStyle(img).transform;
+    const baseTransform = computedTransform && computedTransform !== 'none' ? `${computedTransform} ` : '';
+
+    // Run for the full display time plus the incoming crossfade so the image never sits still
+    const autoAdvance = this.config.auto_advance_seconds ||
+                       this.config.auto_advance_interval ||
+                       this.config.auto_advance_duration || 0;
+    // V5.9: duration_rules can change how long this item stays up - the motion has to match
+    const displayMs = autoAdvance > 0 ? this._getItemDurationSeconds(this.currentMedia, autoAdvance) * 1000 : 10000;
+    const duration = displayMs + (this.config.transition?.duration ?? 300);
+
+    const animation = img.animate([
+      { transformOrigin: `${fromOrigin.x}% ${fromOrigin.y}%`, transform: `${baseTransform}scale(${fromScale})` },
+      { transformOrigin: `${toOrigin.x}% ${toOrigin.y}%`, transform: `${baseTransform}scale(${toScale})` }
+    ], {
+      duration,
+      easing: 'linear',
+      fill: 'forwards'
+    });
+
+    img._kenBurnsAnimation = animation;
+    this._kenBurnsAnimation = animation;
+
+    // Start frozen if the slideshow is paused - _resumeTimer picks it up
+    if (this._isPaused) {
+      animation.pause();
+    }
+
+    this._log(`🎥 Ken Burns ${direction}: scale ${fromScale} → ${toScale}, focus ${Math.round(focus.x)}% ${Math.round(focus.y)}%${focus.fromFaces ? ' (faces)' : ''}, ${Math.round(duration / 1000)}s`);
+  }
+
+  _stopKenBurns(img = null) {
+    const animation = img ? img._kenBurnsAnimation : this._kenBurnsAnimation;
+    if (animation) {
+      animation.cancel();
+    }
+    if (img) {
+      img._kenBurnsAnimation = null;
+    }
+    if (!img || animation === this._kenBurnsAnimation) {
+      this._kenBurnsAnimation = null;
+    }
+  }
+
+  // V5.9: Ken Burns focus point in percent - center of the recognized faces when the Media Index
+  // people entries carry face regions ({ x, y, width, height } in 0-1 range), otherwise the image center
+  _getKenBurnsFocusPoint(metadata) {
+    const people = metadata?.people ?? metadata?.exif?.people;
+    let sumX = 0;
+    let sumY = 0;
+    let count = 0;
+    for (const person of Array.isArray(people) ? people : []) {
+      const region = person?.region || person;
+      if (typeof region?.x !== 'number' || typeof region?.y !== 'number') continue;
+      sumX += region.x + (Number(region.width) || 0) / 2;
+      sumY += region.y + (Number(region.height) || 0) / 2;
+      count++;
+    }
+
+    if (count === 0) {
+      return { x: 50, y: 50, fromFaces: false };
+    }
+    return {
+      x: Math.max(0, Math.min(100, (sumX / count) * 100)),
+      y: Math.max(0, Math.min(100, (sumY / count) * 100)),
+      fromFaces: true
+    };
+  }
+
+  // V5.9: Collage layout (layout: collage)
+  // Tiles are a window over the navigation queue: queue index i always lands in tile i % tiles,
+  // so every advance replaces exactly one tile (staggered) and Back restores the previous one.
+  _isCollageLayout() {
+    return this.config?.layout === 'collage' && this.config.media_source_type !== 'single_media';
+  }
+
+  _getCollageTileCount() {
+    const tiles = parseInt(this.config.collage?.tiles, 10);
+    return isNaN(tiles) ? 4 : Math.max(2, Math.min(4, tiles));
+  }
+
+  // Returns [{ slot, index, item }] for the tiles currently on screen (empty slots omitted)
+  _getCollageTiles() {
+    const tileCount = this._getCollageTileCount();
+    const anchorIndex = this._pendingNavigationIndex ?? this.navigationIndex;
+    if (anchorIndex < 0 || !this.navigationQueue?.[anchorIndex]) return [];
+
+    const tiles = [];
+    for (let slot = 0; slot < tileCount; slot++) {
+      // Newest queue index at or before the anchor that maps to this slot
+      const index = anchorIndex - (((anchorIndex - slot) % tileCount) + tileCount) % tileCount;
+      const item = index >= 0 ? this.navigationQueue[index] : null;
+      if (item) {
+        tiles.push({ slot, index, item });
+      }
+    }
+    return tiles;
+  }
+
+  // Width/height ratio from metadata, falling back to what the loaded tile reported
+  _getItemAspect(item) {
+    const width = item.metadata?.width || item.width || item.image_width;
+    const height = item.metadata?.height || item.height || item.image_height;
+    if (width > 0 && height > 0) return width / height;
+    return this._tileAspects.get(item.media_content_id) ?? null;
+  }
+
+  // Mosaic on a two-row grid: portrait tiles span both rows so pairs of portraits sit side by side,
+  // landscape tiles take one row so they stack. An odd landscape is stretched to avoid a hole.
+  _getCollageLayout(tiles) {
+    const tall = tiles.map(tile => {
+      const aspect = this._getItemAspect(tile.item);
+      return aspect !== null && aspect < 1;
+    });
+
+    const landscapeCount = tall.filter(isTall => !isTall).length;
+    if (landscapeCount % 2 === 1) {
+      tall[tall.lastIndexOf(false)] = true;
+    }
+
+    const cells = tall.reduce((sum, isTall) => sum + (isTall ? 2 : 1), 0);
+    return { tall, columns: Math.max(1, Math.ceil(cells / 2)) };
+  }
+
+  // Pull enough items from the provider for every tile, then move to the newest one so the
+  // whole grid is filled. Skipped items go into history like a normal advance.
+  async _primeCollage() {
+    this._collagePrimed = true;
+    if (!this.provider) return;
+
+    const tileCount = this._getCollageTileCount();
+    await this._fillNavigationQueue(tileCount);
+
+    const targetIndex = Math.min(tileCount, this.navigationQueue.length) - 1;
+    if (this.navigationIndex < 0 || this.navigationIndex >= targetIndex) {
+      this.requestUpdate();
+      return;
+    }
+
+    this._log(`🧩 Filling collage with ${targetIndex + 1} tiles`);
+    for (let i = this.navigationIndex + 1; i <= targetIndex; i++) {
+      const item = this.navigationQueue[i];
+      if (!this.history.some(h => h.media_content_id === item.media_content_id)) {
+        this.history.push(item);
+      }
+    }
+    await this._jumpToQueuePosition(targetIndex);
+  }
+
+  // V5.9: Look-ahead for collage tiles and portrait pairs - top up the navigation queue from the
+  // provider. Small collections pre-loaded by _smartPreloadNavigationQueue already hold every item.
+  async _fillNavigationQueue(targetLength) {
+    if (!this.provider || this.isNavigationQueuePreloaded) return;
+
+    let attempts = 0;
+    while (this.navigationQueue.length < targetLength && attempts < 10) {
+      attempts++;
+      const item = await this.provider.getNext();
+      if (!item) break;
+      if (this.navigationQueue.some(q => q.media_content_id === item.media_content_id)) continue;
+      if (!item.metadata) {
+        item.metadata = await this._extractMetadataFromItem(item);
+      }
+      this.navigationQueue.push(item);
+    }
+  }
+
+  // V5.9: Portrait pairing (on unless portrait_pairing: false) - on wide viewport-fit/viewport-fill
+  // screens a portrait image is shown next to the following portrait in the queue. The pair is one step.
+  _isPortraitPairingActive() {
+    const aspectMode = this.config?.aspect_mode;
+    return this.config?.portrait_pairing !== false &&
+           (aspectMode === 'viewport-fit' || aspectMode === 'viewport-fill') &&
+           !this._isCollageLayout() &&
+           !(this._panelOpen && this._panelMode !== 'queue');
+  }
+
+  // Decide the partner for the image at queue index - applies on load, or right away when the
+  // image is already on screen by the time the partner is known
+  async _preparePortraitPair(url, index) {
+    this._pendingPairedItem = null;
+    // No navigation index is applied on load for this image, so _applyPortraitPair won't run - drop the old pair now
+    if (this._pendingNavigationIndex === null) {
+      this._pairedItem = null;
+    }
+    if (!this._isPortraitPairingActive() || index === undefined || index === null || index < 0) return;
+
+    const current = this.navigationQueue[index];
+    if (!current || current.media_content_id !== this.currentMedia?.media_content_id) return;
+    if (this._isCameraItem(current)) return; // V5.9: Live camera views fill the card
+
+    // Side by side only helps when the card is wider than tall
+    const container = this.shadowRoot?.querySelector('.media-container');
+    if (container && container.clientWidth <= container.clientHeight) return;
+
+    await this._fillNavigationQueue(index + 2);
+    const partner = this.navigationQueue[index + 1];
+    if (!partner || this._isVideoFile(partner.media_content_id) ||
+        partner.media_content_type?.startsWith('video') || this._isCameraItem(partner)) {
+      return;
+    }
+
+    const partnerUrl = await this._resolveMediaPathParam(partner.media_content_id);
+    if (!partnerUrl) return;
+
+    const [currentAspect, partnerAspect] = await Promise.all([
+      this._probeImageAspect(current, url),
+      this._probeImageAspect(partner, partnerUrl)
+    ]);
+    if (currentAspect === null || currentAspect >= 1 || partnerAspect === null || partnerAspect >= 1) return;
+
+    // Navigation moved on while probing - a newer call owns the pending pair
+    if (this.currentMedia?.media_content_id !== current.media_content_id) return;
+    if (this._pendingNavigationIndex !== null && this._pendingNavigationIndex !== index) return;
+    if (this._pendingNavigationIndex === null && this.navigationIndex !== index) return;
+
+    this._rememberTileUrl(partner.media_content_id, partnerUrl);
+    this._pendingPairedItem = { index: index + 1, item: partner, url: partnerUrl };
+    this._log(`🖼️ Pairing portrait with ${partner.metadata?.filename || partner.media_content_id}`);
+
+    // Image already loaded - add the partner now
+    if (this._pendingNavigationIndex === null) {
+      this._applyPortraitPair();
+      this._checkpointShownItem();
+      this._schedulePersistState();
+      this.requestUpdate();
+    }
+  }
+
+  // Width/height ratio from metadata, or by loading the image (also warms the browser cache)
+  _probeImageAspect(item, url) {
+    const known = this._getItemAspect(item);
+    if (known !== null) return Promise.resolve(known);
+
+    return new Promise(resolve => {
+      const img = new Image();
+      const timeout = setTimeout(() => resolve(null), 5000);
+      img.onload = () => {
+        clearTimeout(timeout);
+        if (!img.naturalWidth || !img.naturalHeight) {
+          resolve(null);
+          return;
+        }
+        const aspect = img.naturalWidth / img.naturalHeight;
+        this._tileAspects.set(item.media_content_id, aspect);
+        resolve(aspect);
+      };
+      img.onerror = () => {
+        clearTimeout(timeout);
+        resolve(null);
+      };
+      img.src = url;
+    });
+  }
+
+  // Called when the new image is on screen - show its partner and record the pair
+  _applyPortraitPair() {
+    this._pairedItem = this._pendingPairedItem;
+    this._pendingPairedItem = null;
+    if (!this._pairedItem) return;
+
+    const firstId = this.navigationQueue[this._pairedItem.index - 1]?.media_content_id;
+    if (firstId) {
+      this._portraitPairs.set(firstId, this._pairedItem.item.media_content_id);
+      if (this._portraitPairs.size > 500) {
+        this._portraitPairs.delete(this._portraitPairs.keys().next().value);
+      }
+    }
+
+    // Partner was shown too - track it like a normal advance
+    if (!this.history.some(h => h.media_content_id === this._pairedItem.item.media_content_id)) {
+      this.history.push(this._pairedItem.item);
+    }
+  }
+
+  // Resolve a non-current tile's URL in the background (current tile uses mediaUrl)
+  _getTileUrl(item) {
+    const mediaId = item.media_content_id;
+    if (this._tileUrlCache.has(mediaId)) {
+      return this._tileUrlCache.get(mediaId);
+    }
+
+    this._tileUrlCache.set(mediaId, '');
+    this._resolveMediaPathParam(mediaId).then(url => {
+      this._rememberTileUrl(mediaId, url);
+      this.requestUpdate();
+    });
+    return '';
+  }
+
+  _rememberTileUrl(mediaId, url) {
+    if (!mediaId) return;
+    this._tileUrlCache.delete(mediaId);
+    this._tileUrlCache.set(mediaId, url);
+    // Keep a few pages of tiles around for Back navigation
+    while (this._tileUrlCache.size > this._getCollageTileCount() * 4) {
+      this._tileUrlCache.delete(this._tileUrlCache.keys().next().value);
+    }
+  }
+
+  _onTileLoaded(e, item) {
+    const img = e.target;
+    if (img.naturalWidth > 0 && img.naturalHeight > 0 && !this._tileAspects.has(item.media_content_id)) {
+      this._tileAspects.set(item.media_content_id, img.naturalWidth / img.naturalHeight);
+      if (this._tileAspects.size > 200) {
+        this._tileAspects.delete(this._tileAspects.keys().next().value);
+      }
+      this.requestUpdate();
+    }
+    // Fade in whichever tile just changed
+    const duration = this.config.transition?.duration ?? 300;
+    if (duration > 0 && typeof img.animate === 'function') {
+      img.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing: 'ease-in-out' });
+    }
+  }
+
+  _renderCollage() {
+    const tiles = this._getCollageTiles();
+    const anchorIndex = this._pendingNavigationIndex ?? this.navigationIndex;
+    const { tall, columns } = this._getCollageLayout(tiles);
+
+    return html`
+      <div class="collage-grid" style="--collage-columns: ${columns}">
+        ${tiles.map((tile, i) => {
+          const isCurrent = tile.index === anchorIndex;
+          const url = isCurrent ? this.mediaUrl : this._getTileUrl(tile.item);
+          return html`
+            <div class="collage-tile ${tall[i] ? 'tall' : ''} ${isCurrent ? 'current' : ''}">
+              ${url ? html`
+                <img
+                  src="${url}"
+                  alt="${tile.item.title || 'Media'}"
+                  @error=${isCurrent ? this._onMediaError : null}
+                  @load=${(e) => {
+                    this._onTileLoaded(e, tile.item);
+                    if (isCurrent) {
+                      // Keep the same URL once this tile stops being the current one (no reload)
+                      this._rememberTileUrl(tile.item.media_content_id, url);
+                      this._onMediaLoaded(e);
+                    }
+                  }}
+                />
+              ` : ''}
+            </div>
+          `;
+        })}
+      </div>
+    `;
+  }
+
   static getConfigElement() {
     return document.createElement('media-card-editor');
   }
@@ -120,6 +557,9 @@ export class MediaCard extends LitElement {
     this._cardId = 'card-' + Math.random().toString(36).substr(2, 9);
     this._retryAttempts = new Map(); // Track retry attempts per URL (V4)
     this._videoTransientFailures = new Map(); // V5.8: Track per-item video failure count (handles transient 400s from Reolink etc.)
+    this._videoHighlightPlans = new Map(); // V5.9: media_content_id -> highlight segments (Back replays the same ones)
+    this._videoHighlight = null; // V5.9: { segments, index, done } for the video on screen
+    this._videoHighlightSeeking = false; // V5.9: Programmatic seek to a highlight segment in progress
     this._errorState = null; // V4 error state tracking
     this._currentMetadata = null; // V4 metadata tracking for action buttons/display
     this._currentMediaPath = null; // V4 current file path for action buttons
@@ -128,7 +568,57 @@ export class MediaCard extends LitElement {
     this._backLayerUrl = ''; // V5.6: Back layer for crossfade
     this._frontLayerActive = true; // V5.6: Which layer is currently visible
     this._pendingLayerSwap = false; // V5.6: Flag to trigger swap after image loads
-    
+    this._exitingLayer = null; // V5.9: 'front' | 'back' while the outgoing layer animates out
+    this._navigationDirection = 'forward'; // V5.9: 'forward' | 'back' - drives directional transition effects
+    this._kenBurnsAnimation = null; // V5.9: Running Ken Burns animation on the visible image
+    this._kenBurnsLastDirection = null; // V5.9: Last zoom direction (for direction: alternate)
+    this._collagePrimed = false; // V5.9: Collage tiles filled from the provider after first load
+    this._tileUrlCache = new Map(); // V5.9: media_content_id -> resolved URL for collage/paired tiles
+    this._tileAspects = new Map(); // V5.9: media_content_id -> width/height ratio learned from loaded images
+    this._pairedItem = null; // V5.9: { index, item, url } portrait shown beside the current one
+    this._pendingPairedItem = null; // V5.9: Pair chosen for the image that is still loading
+    this._portraitPairs = new Map(); // V5.9: first media_content_id -> partner media_content_id (for Back)
+    this._syncSetupDone = false; // V5.9: Sync group transport is set up
+    this._syncUnsubscribe = null; // V5.9: Unsubscribe function for media_card_sync events
+    this._syncLastEntityValue = null; // V5.9: Last seen sync input_text value (input_text transport)
+    this._syncLeaderLost = false; // V5.9: Follower stopped hearing from the leader and advances itself
+    this._syncLeaderInterval = 0; // V5.9: Leader's auto_advance_seconds (follower watchdog timing)
+    this._syncWatchdog = null; // V5.9: Follower timeout for a silent leader
+    this._commandSetupDone = false; // V5.9: media_card_command subscription is set up
+    this._commandUnsubscribe = null; // V5.9: Unsubscribe function for media_card_command events
+    this._soundtrack = null; // V5.9: SoundtrackPlayer for background music (soundtrack:)
+    this._soundtrackSetupDone = false; // V5.9: Soundtrack started for the current config
+    this._itemsSinceCamera = 0; // V5.9: Slideshow items since the last interleaved live camera view
+    this._cameraRotation = 0; // V5.9: Next live_camera.entities index to interleave
+    this._cameraCountedItems = new WeakSet(); // V5.9: Queue items already counted toward live_camera.every
+    this._cameraTriggerStates = new Map(); // V5.9: live_camera trigger entity -> last seen state
+    this._cameraReturnTimer = null; // V5.9: Ends a triggered live camera view
+    this._cameraLoadedSrc = null; // V5.9: Camera stream whose first frame has been handled
+    this._scheduleSetupDone = false; // V5.9: Schedule timer and condition subscriptions are set up
+    this._scheduleBaseConfig = null; // V5.9: Card config without schedule overrides
+    this._activeScheduleKey = null; // V5.9: Name of the schedule in effect ('default' when none matches)
+    this._scheduleTimer = null; // V5.9: Minute timer that re-checks time/date schedules
+    this._scheduleUnsubscribes = []; // V5.9: render_template subscriptions for schedule conditions
+    this._scheduleConditionResults = new Map(); // V5.9: schedule index -> last template result
+    this._scheduleStates = new Map(); // V5.9: schedule name -> saved navigation queue/history
+    this._interruptSetupDone = false; // V5.9: state_changed subscription for interrupts is set up
+    this._interruptUnsubscribe = null; // V5.9: Unsubscribe function for the interrupts subscription
+    this._interruptStates = null; // V5.9: Non-admin users - interrupt entity -> last seen state object (null while subscribed)
+    this._activeInterrupt = null; // V5.9: { key, interrupt, savedConfig, savedState, shown, timer } while interrupted
+    this._restoredProviderState = null; // V5.9: Provider state handed back by _restoreNavigationState (interrupt/schedule)
+    this._undoToast = null; // V5.9: Pending delete/edit offered in the undo toast
+    this._undoToastTimer = null; // V5.9: Runs the pending delete/edit when the undo window ends
+    this._showQueueMap = false; // V5.9: Map of the slideshow overlay open
+    this._queueMapSize = null; // V5.9: { width, height } of the card when the map was opened
+    this._persistTimer = null; // V5.9: Debounced save of the slideshow state (persist_state)
+    this._durationRules = []; // V5.9: Compiled duration_rules (per-item auto-advance time)
+    this._selectionMode = false; // V5.9: Thumbnail strip in multi-select mode
+    this._selectedUris = new Set(); // V5.9: Selected thumbnail URIs
+    this._bulkActionRunning = false; // V5.9: Bulk favorite/tag/edit/delete in progress
+    this._longPressTimer = null; // V5.9: Thumbnail long-press detection
+    this._longPressTriggered = false; // V5.9: Swallow the click that ends a long press
+    this._confirmationDialogOptions = null; // V5.9: Button labels / progress / details for the dialog
+
     // V5.6: Display Entities System
     this._displayEntitiesVisible = false; // Current visibility state
     this._currentEntityIndex = 0; // Index in filtered entities array
@@ -176,6 +666,12 @@ export class MediaCard extends LitElement {
     
     // V5.5: On This Day state (anniversary mode)
     this._onThisDayLoading = false;    // Loading indicator for anniversary query
+    this._peopleLoading = false;       // V5.9: Loading indicator for person query
+    this._personPanelName = null;      // V5.9: Person shown in the 'person' panel
+    this._personPanelPeople = [];      // V5.9: Everyone recognized in the photo the panel was opened from
+    this._nearbyLoading = false;       // V5.9: Loading indicator for nearby query
+    this._nearbyOrigin = null;         // V5.9: { latitude, longitude, uri } the Nearby panel is centered on
+    this._nearbyRadiusKm = null;       // V5.9: Current Nearby radius (defaults to action_buttons.nearby_radius_km)
     this._onThisDayWindowDays = 0;     // Current window size (±N days)
     this._onThisDayUsePhotoDate = false; // V5.6.7: Use photo's date vs today's date
     
@@ -284,6 +780,30 @@ export class MediaCard extends LitElement {
     // NEW: Cleanup kiosk mode monitoring
     this._cleanupKioskModeMonitoring();
     
+    // V5.9: Leave sync group and stop listening for commands (re-set up on next hass update)
+    this._cleanupSyncGroup();
+    this._cleanupRemoteCommands();
+    this._cleanupSchedules();
+    this._cleanupSoundtrack();
+    this._cleanupInterrupts();
+    
+    // V5.9: Triggered live camera view
+    if (this._cameraReturnTimer) {
+      clearTimeout(this._cameraReturnTimer);
+      this._cameraReturnTimer = null;
+    }
+    
+    // V5.9: A delete/edit still waiting in the undo toast goes through now
+    if (this._undoToast) {
+      this._commitRemoval(this._undoToast);
+    }
+    
+    // V5.9: Write out a pending state save before the card goes away
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistState();
+    }
+    
     // V5.6: Cleanup viewport height observer
     this._cleanupDynamicViewportHeight();
     
@@ -752,6 +1272,19 @@ export class MediaCard extends LitElement {
       }
     }
     
+    // V5.9: Rejoin the sync group with the new settings on the next hass update
+    this._cleanupSyncGroup();
+    this._cleanupSoundtrack(); // Restarted with the new tracks on the next hass update
+    this._cleanupInterrupts();
+    this._activeInterrupt = null; // New config replaces whatever the interrupt was playing
+    
+    // V5.9: New config is the new schedule base - saved per-schedule state belongs to the old one
+    this._cleanupSchedules();
+    this._scheduleBaseConfig = null;
+    this._activeScheduleKey = null;
+    this._scheduleStates.clear();
+    this._scheduleConditionResults.clear();
+    
     // V5: Reset provider to force reinitialization with new config
     if (this.provider) {
       this._log('🧹 Clearing existing provider before reconfiguration');
@@ -876,6 +1409,23 @@ export class MediaCard extends LitElement {
       this.removeAttribute('data-blend-with-background');
     }
     
+    // V5.9: Unknown transition effects fall back to crossfade
+    const transitionEffect = this.config.transition?.effect;
+    if (transitionEffect && !MediaCard.TRANSITION_EFFECTS[transitionEffect]) {
+      console.warn(`[MediaCard] Unknown transition.effect "${transitionEffect}" - using crossfade. Available: ${Object.keys(MediaCard.TRANSITION_EFFECTS).join(', ')}`);
+    }
+    
+    // V5.9: Set layout attribute for CSS targeting (collage grid)
+    const layout = this.config.layout || 'single';
+    if (layout !== 'single' && layout !== 'collage') {
+      console.warn(`[MediaCard] Unknown layout "${layout}" - using single. Available: single, collage`);
+    }
+    if (this._isCollageLayout()) {
+      this.setAttribute('data-layout', 'collage');
+    } else {
+      this.removeAttribute('data-layout');
+    }
+    
     // V5.6.7: Set edge fade attribute and strength for CSS targeting
     if (this.config.edge_fade_strength > 0) {
       this.setAttribute('data-edge-fade', 'true');
@@ -914,6 +1464,9 @@ export class MediaCard extends LitElement {
       }
     }
     
+    // V5.9: Compile duration_rules once - folder globs use the excluded_paths syntax
+    this._durationRules = this._compileDurationRules(config.duration_rules);
+    
     // V5: Trigger reinitialization if we already have hass
     if (this._hass) {
       this._log('📝 setConfig: Triggering provider reinitialization with existing hass');
@@ -963,12 +1516,52 @@ export class MediaCard extends LitElement {
       this._log('💎 hass setter called. Had hass before:', hadHass, 'Has provider:', !!this.provider);
     }
     
+    // V5.9: Pick the active schedule before the provider starts so it uses the right source
+    if (hass && this.config?.schedules && !this._scheduleSetupDone) {
+      this._setupSchedules();
+    }
+    
     // Initialize provider when hass is first set
     if (hass && !this.provider) {
       this._log('💎 Triggering provider initialization');
       this._initializeProvider();
     }
     
+    // V5.9: Listen for media_card_command events once hass is available
+    if (hass && !this._commandSetupDone) {
+      this._setupRemoteCommands();
+    }
+    
+    // V5.9: Watch interrupt entities once hass is available
+    if (hass && !this._interruptSetupDone) {
+      this._setupInterrupts();
+    } else if (hass && this._interruptStates) {
+      this._checkInterruptStates(hass);
+    }
+    
+    // V5.9: Motion / doorbell sensors that switch to a live camera view
+    if (hass && this.config?.live_camera?.triggers) {
+      this._checkCameraTriggers(hass);
+    }
+    
+    // V5.9: Start background music once hass is available; media_player mode follows the entity here
+    if (hass && this.config?.soundtrack) {
+      if (!this._soundtrackSetupDone) {
+        this._setupSoundtrack();
+      } else {
+        this._soundtrack?.updateHass(hass);
+      }
+    }
+    
+    // V5.9: Join the sync group once hass is available; input_text transport is polled here
+    if (hass && this.config?.sync_group) {
+      if (!this._syncSetupDone) {
+        this._setupSyncGroup();
+      } else {
+        this._checkSyncEntity(hass);
+      }
+    }
+    
     // V5.6: Subscribe to display entities when hass is available
     if (hass && this.config?.display_entities?.enabled) {
       if (!this._displayEntitiesInitialized) {
@@ -1015,6 +1608,12 @@ export class MediaCard extends LitElement {
 
     // Auto-detect media source type if not set
     let type = this.config.media_source_type;
+    
+    // V5.9: A sources: list mixes several providers by weight (takes precedence over media_source_type)
+    if (Array.isArray(this.config.sources) && this.config.sources.length > 0) {
+      type = 'sources';
+    }
+    
     if (!type) {
       if (this.config.media_path && this.config.media_path.trim()) {
         type = 'single_media';
@@ -1084,11 +1683,35 @@ export class MediaCard extends LitElement {
           this.provider = new FolderProvider(this.config, this.hass, this);
           break;
         
+        case 'playlist':
+          // V5.9: Explicit list of files (inline, entity or /local playlist file)
+          if (!this.config.playlist) {
+            this._log('⚠️ Playlist mode requires playlist.items, playlist.entity or playlist.url');
+            this.isLoading = false;
+            return;
+          }
+          this.provider = new PlaylistProvider(this.config, this.hass, this);
+          break;
+        
+        case 'sources':
+          this._log(`🔀 Initializing CompositeProvider - ${this.config.sources.length} sources`);
+          this.provider = new CompositeProvider(this.config, this.hass, this);
+          break;
+        
         default:
           console.warn('[MediaCard] Unknown media source type:', type, '- defaulting to single_media');
           this.provider = new SingleMediaProvider(this.config, this.hass);
       }
 
+      // V5.9: Pick up where the last page load left off (before initialize so cursors apply)
+      this._restorePersistedState();
+
+      // V5.9: Returning from an interrupt or another schedule - same position and cursor as before
+      if (this._restoredProviderState) {
+        this.provider.deserialize(this._restoredProviderState);
+        this._restoredProviderState = null;
+      }
+
       // Initialize provider
       this.isLoading = true;
       this._log('Calling provider.initialize()');
@@ -1150,6 +1773,9 @@ export class MediaCard extends LitElement {
 
   // V5.3: Smart pre-load - only for small collections that fit in window
   async _smartPreloadNavigationQueue() {
+    // V5.9: Queue restored for a schedule - it already holds the collection
+    if (this.navigationQueue.length > 0) return;
+    
     // Check if this is a small collection that we should pre-load
     // Need to access the actual provider (might be wrapped by FolderProvider)
     let actualProvider = this.provider;
@@ -1300,6 +1926,7 @@ export class MediaCard extends LitElement {
             latitude: rawItem.latitude,
             longitude: rawItem.longitude,
             is_favorited: rawItem.is_favorited || false,
+            rating: rawItem.rating ?? null,
             burst_count: rawItem.burst_count || null,
             burst_favorites: rawItem.burst_favorites || null
           }
@@ -1317,6 +1944,21 @@ export class MediaCard extends LitElement {
 
   // V5: Unified navigation - card owns queue/history, provider just supplies items
   async _loadNext() {
+    // V5.9: Sync group followers ask the leader to move instead of navigating on their own
+    if (this._isManualNavigation && this._isSyncFollower()) {
+      this._isManualNavigation = false;
+      this._sendSyncMessage('next');
+      return;
+    }
+
+    // V5.9: Interrupt has shown its count items - go back to the slideshow instead
+    const interrupt = this._activeInterrupt;
+    if (interrupt?.count && interrupt.shown >= interrupt.count && !this._isLoadingNext) {
+      this._isManualNavigation = false;
+      await this._endInterrupt();
+      return;
+    }
+
     // V5.6.7: Re-entrance guard - prevent concurrent calls to _loadNext
     if (this._isLoadingNext) {
       this._log('⏭️ Skipping _loadNext - already in progress');
@@ -1328,6 +1970,7 @@ export class MediaCard extends LitElement {
       // V5.6: Set flag FIRST to ignore video pause events during navigation
       // The browser auto-pauses videos when they're removed from DOM
       this._navigatingAway = true;
+      this._navigationDirection = 'forward'; // V5.9: Directional transition effects
 
     // V5.5: Panel Navigation Override (burst/related/on_this_day use _panelQueue)
     // Queue preview mode uses navigationQueue directly, so skip panel navigation
@@ -1357,7 +2000,8 @@ export class MediaCard extends LitElement {
 
     // V5.3: Navigation Queue Architecture
     // Store pending index (will be applied when media loads to sync with metadata)
-    let nextIndex = this.navigationIndex + 1;
+    // V5.9: A portrait pair counts as one step - skip past the partner
+    let nextIndex = this.navigationIndex + (this._pairedItem ? 2 : 1);
       
       // Need to load more items?
       if (nextIndex >= this.navigationQueue.length) {
@@ -1373,6 +2017,10 @@ export class MediaCard extends LitElement {
             return;
           }
           
+          // V5.9: Live views from the last pass are not replayed - fresh ones are interleaved below
+          this.navigationQueue = this.navigationQueue.filter(queued => !this._isCameraItem(queued));
+          this._cameraCountedItems = new WeakSet();
+
           // V5.6.4: Update nextIndex to 0 after wrapping
           nextIndex = 0;
           this._pendingNavigationIndex = 0;
@@ -1466,6 +2114,22 @@ export class MediaCard extends LitElement {
         }
       }
       
+      // V5.9: Every live_camera.every items, a live camera view takes the next slot.
+      // Picked here so wrapped pre-loaded collections and prefetched items count too. Each item
+      // counts once per pass - stepping forward again after Back doesn't add more live views
+      const upcoming = this.navigationQueue[nextIndex];
+      if (upcoming && !this._isCameraItem(upcoming) && !this._cameraCountedItems.has(upcoming)) {
+        this._cameraCountedItems.add(upcoming);
+        const cameraItem = this._nextInterleavedCamera();
+        if (cameraItem) {
+          this.navigationQueue.splice(nextIndex, 0, cameraItem);
+          if (!this.isNavigationQueuePreloaded && this.navigationQueue.length > this.maxNavQueueSize) {
+            this.navigationQueue.shift();
+            nextIndex--;
+          }
+        }
+      }
+
       // Get item at current navigation index
       const item = this.navigationQueue[nextIndex];
       if (!item) {
@@ -1556,6 +2220,13 @@ export class MediaCard extends LitElement {
 }
 
   async _loadPrevious() {
+    // V5.9: Sync group followers ask the leader to move instead of navigating on their own
+    if (this._isManualNavigation && this._isSyncFollower()) {
+      this._isManualNavigation = false;
+      this._sendSyncMessage('previous');
+      return;
+    }
+
     // V5.6.7: Re-entrance guard - prevent concurrent calls to _loadPrevious
     if (this._isLoadingNext) {
       this._log('⏮️ Skipping _loadPrevious - already in progress');
@@ -1566,6 +2237,7 @@ export class MediaCard extends LitElement {
     try {
       // V5.6: Set flag FIRST to ignore video pause events during navigation
       this._navigatingAway = true;
+      this._navigationDirection = 'back'; // V5.9: Directional transition effects reverse
 
       // V5.5: Panel Navigation Override (burst/related/on_this_day use _panelQueue)
       // Queue preview mode uses navigationQueue directly, so skip panel navigation
@@ -1605,6 +2277,13 @@ export class MediaCard extends LitElement {
       this.navigationIndex = this.navigationQueue.length - 1;
     }
     
+    // V5.9: Landing on the second image of a portrait pair - go to the first so the pair is shown again
+    const pairStart = this.navigationQueue[this.navigationIndex - 1];
+    if (pairStart && this._portraitPairs.get(pairStart.media_content_id) ===
+        this.navigationQueue[this.navigationIndex]?.media_content_id) {
+      this.navigationIndex--;
+    }
+    
     // Get item at current navigation index
     const item = this.navigationQueue[this.navigationIndex];
     if (!item) {
@@ -1785,6 +2464,10 @@ export class MediaCard extends LitElement {
 
     this._log(`🎯 Jumping to queue position ${queueIndex + 1}/${this.navigationQueue.length}`);
 
+    // V5.9: Jumping backwards in the queue plays directional transitions in reverse
+    const currentIndex = this._pendingNavigationIndex ?? this.navigationIndex;
+    this._navigationDirection = queueIndex < currentIndex ? 'back' : 'forward';
+
     // CRITICAL: Keep _manualPageChange true when in queue preview mode
     // User clicked a thumbnail on the current page - don't auto-adjust page position!
     // Only reset to false when NOT in panel mode (normal navigation with arrow keys)
@@ -1889,6 +2572,7 @@ export class MediaCard extends LitElement {
     this._log(`✅ Inserted ${queueItems.length} items at position ${insertPosition}, queue now has ${this.navigationQueue.length} items`);
 
     // Close panel WITHOUT restoring queue (we want to keep our insertions)
+    this._exitSelectionMode(); // V5.9
     this._panelOpen = false;
     this._panelMode = null;
     this._panelQueue = [];
@@ -1931,6 +2615,12 @@ export class MediaCard extends LitElement {
       this._log('🔄 Auto-refresh setup skipped - background paused (not visible)');
       return;
     }
+    
+    // V5.9: Sync group followers advance when the leader does
+    if (this._isSyncFollower()) {
+      this._log('🔄 Auto-refresh setup skipped - following sync group leader');
+      return;
+    }
 
     // V5: Get refresh/advance seconds based on mode
     // Single media: use auto_refresh_seconds
@@ -1952,7 +2642,11 @@ export class MediaCard extends LitElement {
       // V5.6.4: Timer always uses auto_advance interval (not max_video_duration)
       // Timer callback enforces max_duration cap using counter math
       if (autoAdvance > 0) {
-        refreshSeconds = autoAdvance;
+        // V5.9: duration_rules can lengthen or shorten the time for the current item
+        // Live camera views stay up for their own duration
+        refreshSeconds = this._isCameraItem(this.currentMedia)
+          ? this.currentMedia.metadata.camera_duration
+          : this._getItemDurationSeconds(this.currentMedia, autoAdvance);
         isRefreshMode = false; // Advance to next
       } else if (autoRefresh > 0) {
         refreshSeconds = autoRefresh;
@@ -2053,6 +2747,11 @@ export class MediaCard extends LitElement {
               this._log('🎬 Video ended - ADVANCING');
               // Fall through to advance
             }
+            // V5.9: Highlight playback advances itself after its last segment
+            else if (this._videoHighlight && !this._videoHighlight.done) {
+              this._log('🎞️ Playing video highlights - IGNORING TIMER');
+              return;
+            }
             // Priority 2: max_video_duration > 0 - enforce interruption limit
             else if (maxDuration && maxDuration > 0) {
               if (elapsedSeconds < maxDuration) {
@@ -2105,6 +2804,95 @@ export class MediaCard extends LitElement {
     }
   }
 
+  /**
+   * V5.9: Compile duration_rules config into matchers
+   * Each rule has match keys (folder, favorite, media_type, burst, min_rating, template)
+   * and either seconds (fixed time) or multiply (scales the current duration)
+   */
+  _compileDurationRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    
+    return rules
+      .filter(rule => rule && typeof rule === 'object')
+      .filter(rule => {
+        const valid = Number(rule.seconds) > 0 || Number(rule.multiply) > 0 || rule.template;
+        if (!valid) {
+          console.warn('[MediaCard] Ignoring duration rule without seconds, multiply or template:', rule);
+        }
+        return valid;
+      })
+      .map(rule => {
+        const folders = rule.folder === undefined ? null : [].concat(rule.folder);
+        let templateFn = null;
+        const jsCode = typeof rule.template === 'string' ? rule.template.match(/\[\[\[(.*?)\]\]\]/s)?.[1] : null;
+        if (jsCode) {
+          try {
+            templateFn = new Function('item', 'metadata', 'seconds', 'media', jsCode);
+          } catch (error) {
+            console.warn('[MediaCard] Invalid duration rule template:', rule.template, error);
+          }
+        }
+        return {
+          rule,
+          folderPatterns: folders ? MediaProvider.compileExcludedPathPatterns(folders) : null,
+          templateFn
+        };
+      });
+  }
+  
+  /**
+   * V5.9: Display time for an item - every matching duration rule applies in order.
+   * seconds replaces the time, multiply scales it, a template returns a number of seconds
+   * (or true/false to act as a match condition for the rule's seconds/multiply).
+   * Add stop: true to a rule to skip the rules after it when it matches.
+   * @param {Object} item - Current media item
+   * @param {number} defaultSeconds - auto_advance_seconds
+   * @returns {number} Seconds to show the item
+   */
+  _getItemDurationSeconds(item, defaultSeconds) {
+    if (!item || this._durationRules.length === 0) return defaultSeconds;
+    
+    const metadata = item.metadata || {};
+    const path = metadata.path || item.media_content_id || '';
+    const isVideo = this._isVideoFile(item.media_content_id || '');
+    let seconds = defaultSeconds;
+    
+    for (const { rule, folderPatterns, templateFn } of this._durationRules) {
+      if (folderPatterns && !MediaProvider.matchesExcludedPath(path, folderPatterns).excluded) continue;
+      if (rule.favorite !== undefined && Boolean(metadata.is_favorited || item.is_favorited) !== Boolean(rule.favorite)) continue;
+      if (rule.media_type && rule.media_type !== (isVideo ? 'video' : 'image')) continue;
+      if (rule.burst !== undefined && ((metadata.burst_count || 0) > 1) !== Boolean(rule.burst)) continue;
+      if (rule.min_rating !== undefined && (metadata.rating || 0) < rule.min_rating) continue;
+      
+      let result = null;
+      if (templateFn) {
+        try {
+          const media = this.shadowRoot?.querySelector('.media-container img, .media-container video') || null;
+          result = templateFn(item, metadata, seconds, media);
+        } catch (error) {
+          console.warn('[MediaCard] Failed to evaluate duration rule template:', error);
+          continue;
+        }
+        if (result === false || result === null || result === undefined) continue;
+      }
+      
+      if (typeof result === 'number' && result > 0) {
+        seconds = result;
+      } else if (Number(rule.seconds) > 0) {
+        seconds = Number(rule.seconds);
+      } else if (Number(rule.multiply) > 0) {
+        seconds = seconds * Number(rule.multiply);
+      }
+      
+      if (rule.stop) break;
+    }
+    
+    if (seconds !== defaultSeconds) {
+      this._log(`⏱️ duration_rules: ${Math.round(seconds * 10) / 10}s for ${MediaProvider.extractFilename(path)}`);
+    }
+    return seconds;
+  }
+
   /**
    * V5.6.8: Wrap to beginning with fresh query
    * Called when reaching the end of the slideshow to loop back with updated data.
@@ -2112,6 +2900,13 @@ export class MediaCard extends LitElement {
    * @returns {Promise<void>}
    */
   async _wrapToBeginningWithRefresh() {
+    // V5.9: Playlists with loop: false stay on their last item instead of wrapping
+    if (this.provider?.canWrap?.() === false) {
+      this._log('⏹️ Playlist finished (loop: false) - pausing on last item');
+      this._setPauseState(true);
+      return;
+    }
+    
     this._log('🔄 Wrapping to beginning with fresh query...');
     
     // V5.6.8: Remember total items seen before wrap (for position indicator)
@@ -2367,6 +3162,7 @@ export class MediaCard extends LitElement {
       this.navigationQueue = [];
       this.navigationHistory = [];
       this.navigationIndex = 0; // Will be at first position after loading
+      this._collagePrimed = false; // V5.9: Refill collage tiles from the rebuilt queue
       
       // V5.6.5: Skip reset if provider was already rescanned (avoids duplicate query)
       if (!skipReset) {
@@ -2591,6 +3387,7 @@ export class MediaCard extends LitElement {
     if (!MediaProvider.isMediaIndexActive(this.config) || !targetPath || !this.hass) {
       return;
     }
+    if (targetPath.startsWith('camera://')) return; // V5.9: Live camera views have no file metadata
     
     try {
       // Use shared helper to fetch metadata
@@ -2653,6 +3450,7 @@ export class MediaCard extends LitElement {
       this._log('⚠️ File check skipped - no mediaItem');
       return null;
     }
+    if (this._isCameraItem(mediaItem)) return null; // V5.9: Live camera view, not a file
     
     // Ask provider to check - MediaIndexProvider has service, others return null
     if (typeof this.provider?.checkFileExists === 'function') {
@@ -2715,6 +3513,13 @@ export class MediaCard extends LitElement {
       }
       // If providerCheckResult is null, provider doesn't support checks (FolderProvider, SingleMediaProvider)
       // These providers discover files from disk, so 404s are unlikely - proceed without validation
+      
+      // V5.9: Look for a portrait partner in the background - probing unknown sizes must not delay the image
+      this._preparePortraitPair(url, expectedNavigationIndex ?? this._pendingNavigationIndex)
+        .catch(error => this._log('⚠️ Portrait pairing failed:', error));
+    } else {
+      this._pairedItem = null;
+      this._pendingPairedItem = null;
     }
     
     this.mediaUrl = url;
@@ -2723,7 +3528,8 @@ export class MediaCard extends LitElement {
       const duration = this.config?.transition?.duration ?? 300;
       
       // For instant transitions (0ms), bypass double-buffering entirely
-      if (duration === 0) {
+      // V5.9: Collage tiles fade in on their own, so they skip the layers too
+      if (duration === 0 || this._isCollageLayout()) {
         // Just update - render will show single image directly
         this.requestUpdate();
       } else {
@@ -2742,6 +3548,7 @@ export class MediaCard extends LitElement {
           // Special case: Both layers empty (first load or after video), show immediately without crossfade
           this._frontLayerUrl = url;
           this._frontLayerActive = true;
+          this._exitingLayer = null;
           this._pendingLayerSwap = false;
           this._frontLayerNavigationIndex = expectedNavigationIndex;
           this.requestUpdate();
@@ -2753,12 +3560,22 @@ export class MediaCard extends LitElement {
           this._backLayerUrl = '';
           this._backLayerGeneration++; // Invalidate any pending setTimeout for back layer
           this._frontLayerActive = true;
+          this._exitingLayer = null;
           this._pendingLayerSwap = false; // Show immediately without waiting for load
           this._frontLayerNavigationIndex = expectedNavigationIndex;
           this._backLayerNavigationIndex = null;
           this.requestUpdate();
         } else {
           // Normal crossfade: load on hidden layer then swap
+          // V5.9: Choose the effect now so the hidden layer sits at the effect's entry position
+          this._prepareTransitionEffect();
+          
+          // V5.9: Layer still animating out gets reused - return it to the entry position
+          const hiddenLayer = this._frontLayerActive ? 'back' : 'front';
+          if (this._exitingLayer === hiddenLayer) {
+            this._exitingLayer = null;
+          }
+          
           if (this._frontLayerActive) {
             this._backLayerUrl = url;
             this._backLayerGeneration++; // Increment to invalidate any pending setTimeout for this layer
@@ -2798,6 +3615,7 @@ export class MediaCard extends LitElement {
       // Clear the image layers immediately
       this._frontLayerUrl = '';
       this._backLayerUrl = '';
+      this._exitingLayer = null;
       this._frontLayerNavigationIndex = null; // Clear layer navigation indices
       this._backLayerNavigationIndex = null;
       
@@ -2807,6 +3625,8 @@ export class MediaCard extends LitElement {
       this._lastVideoTime = undefined;
       this._videoTimerCount = 0; // Reset timer counter for new video
       this._videoPlayStartTime = null; // Track when video playback starts
+      this._videoHighlight = null; // V5.9: Planned in _onVideoLoadedMetadata once duration is known
+      this._videoHighlightSeeking = false;
       this._log('🎬 Loading new video - reset tracking flags');
       
       this.requestUpdate();
@@ -2844,6 +3664,21 @@ export class MediaCard extends LitElement {
       return;
     }
     
+    // V5.9: Live camera view - MJPEG stream through HA's camera proxy
+    if (this._isCameraItem(this.currentMedia)) {
+      const entityId = this.currentMedia.metadata.camera_entity;
+      const streamUrl = this._getCameraUrl(entityId, true);
+      if (!streamUrl) {
+        console.warn('[MediaCard] Camera unavailable - skipping live view:', entityId);
+        setTimeout(() => this._loadNext(), 100);
+        return;
+      }
+      // Each showing opens its own stream (and counts its first frame as loaded)
+      await this._setMediaUrl(`${streamUrl}&t=${Date.now()}`, expectedIndex);
+      this.requestUpdate();
+      return;
+    }
+    
     // If already a full URL, use it
     if (mediaId.startsWith('http')) {
       await this._setMediaUrl(mediaId, expectedIndex);
@@ -2953,6 +3788,11 @@ export class MediaCard extends LitElement {
       return mediaPath;
     }
     
+    // V5.9: Live camera views use a snapshot outside the main view (thumbnails, tiles)
+    if (mediaPath.startsWith('camera://')) {
+      return this._getCameraUrl(mediaPath.replace('camera://', '').split('?')[0], false) || '';
+    }
+    
     // Convert local media paths to media-source format
     if (mediaPath.startsWith('/media/')) {
       mediaPath = 'media-source://media_source' + mediaPath;
@@ -3011,6 +3851,13 @@ export class MediaCard extends LitElement {
       }
     }
     
+    // V5.9: Report the failure to automations
+    this._dispatchCardEvent('media_card_error', {
+      media_content_id: this.currentMedia?.media_content_id || null,
+      error: errorMessage,
+      not_found: is404
+    });
+    
     // Only log errors that aren't 404s - 404s are expected when database is out of sync
     if (!is404 && this._debugMode) {
       console.error('[MediaCard] Media failed to load:', this.mediaUrl, e);
@@ -3349,6 +4196,10 @@ export class MediaCard extends LitElement {
       this.navigationIndex = this._pendingNavigationIndex;
       this._pendingNavigationIndex = null;
       this._log('✅ Applied pending navigation index on video canplay');
+      this._publishSyncState(); // V5.9: Leader tells the sync group what is on screen
+      this._dispatchNowShowing(); // V5.9: media_card_now_showing for automations
+      this._checkpointShownItem(); // V5.9: folder.sequential.resume and persist_state cursor
+      this._schedulePersistState(); // V5.9: persist_state
     }
     if (this._pendingMediaPath !== null) {
       this._currentMediaPath = this._pendingMediaPath;
@@ -3366,6 +4217,7 @@ export class MediaCard extends LitElement {
     
     // Reset video wait timer when video starts playing
     this._videoWaitStartTime = null;
+    this._updateSoundtrackDucking(); // V5.9
     
     // If slideshow was paused due to video pause, resume it when video plays
     if (this._isPaused && this._pausedByVideo) {
@@ -3376,6 +4228,8 @@ export class MediaCard extends LitElement {
   }
 
   _onVideoPause() {
+    this._updateSoundtrackDucking(); // V5.9
+    
     // CRITICAL: Ignore pause events when card is disconnected
     // Browser fires pause AFTER disconnectedCallback when navigating away
     if (!this.isConnected) {
@@ -3422,6 +4276,8 @@ export class MediaCard extends LitElement {
     // V5.6.4: Only mark as user interaction if video has started playing
     // Browser fires seeking events during initial load - ignore those
     const video = e.target;
+    // V5.9: Jumps between highlight segments are not user seeks
+    if (this._videoHighlightSeeking) return;
     if (video && video.currentTime >= 0.5) {
       this._videoUserInteracted = true;
       this._log('🎬 User interacted with video (seek) - will play to completion');
@@ -3431,6 +4287,7 @@ export class MediaCard extends LitElement {
   // V5.6.8: Track when seeking finishes
   _onVideoSeeked(e) {
     this._videoIsSeeking = false;
+    this._videoHighlightSeeking = false;
     // Update last video time to current position after seek completes
     // This prevents the next timeupdate from thinking video looped
     const video = e.target;
@@ -3499,6 +4356,12 @@ export class MediaCard extends LitElement {
       return true;
     }
 
+    // V5.9: Highlight playback advances by itself after the last segment
+    if (this._videoHighlight && !this._videoHighlight.done) {
+      this._log('🎬 Playing video highlights - waiting for the last segment');
+      return true;
+    }
+
     // Get configuration values
     const videoMaxDuration = this.config.video_max_duration || 0;
 
@@ -3533,6 +4396,7 @@ export class MediaCard extends LitElement {
     
     // V5.6.4: Mark that video has completed first playthrough
     this._videoHasEnded = true;
+    this._updateSoundtrackDucking(); // V5.9
     
     // V5.6.7: Show bottom overlays when video ends (if they were hidden)
     if (this._hideBottomOverlaysForVideo) {
@@ -3545,7 +4409,8 @@ export class MediaCard extends LitElement {
                                this.config?.auto_advance_interval || 
                                this.config?.auto_advance_duration || 0;
     
-    if (this.config.video_loop && autoAdvanceSeconds > 0 && this._videoPlayStartTime) {
+    // V5.9: Highlight playback has already shown what it should - never restart it
+    if (this.config.video_loop && autoAdvanceSeconds > 0 && this._videoPlayStartTime && !this._videoHighlight) {
       const elapsedMs = Date.now() - this._videoPlayStartTime;
       const elapsedSeconds = Math.floor(elapsedMs / 1000);
       
@@ -3626,6 +4491,11 @@ export class MediaCard extends LitElement {
   }
 
   _onVideoTimeUpdate(e) {
+    // V5.9: Jump between highlight segments and finish after the last one
+    if (this._videoHighlight && e.target) {
+      this._updateVideoHighlight(e.target);
+    }
+    
     // V5.6.4: Detect when looping video wraps back to beginning
     // The 'ended' event doesn't fire for videos with loop attribute
     const video = e.target;
@@ -3684,9 +4554,104 @@ export class MediaCard extends LitElement {
         video.muted = currentMuted;
         this._suppressVolumeChangeHandler = false;
       }, 50);
+      
+      // V5.9: Start at the first highlight segment
+      this._startVideoHighlight(video);
     }
   }
 
+  /**
+   * V5.9: Highlight segments for a video, or null to play it normally.
+   * Segments are remembered per file, so Back replays the same ones even in random mode.
+   * @param {string} mediaId - media_content_id of the video
+   * @param {number} duration - Video length in seconds
+   * @returns {Array<{start: number, end: number}>|null}
+   */
+  _getVideoHighlightPlan(mediaId, duration) {
+    const highlights = this.config.video_highlights;
+    if (!highlights || highlights.enabled === false || !mediaId || !Number.isFinite(duration)) {
+      return null;
+    }
+    
+    if (this._videoHighlightPlans.has(mediaId)) {
+      return this._videoHighlightPlans.get(mediaId);
+    }
+    
+    const mode = ['start', 'random', 'spread'].includes(highlights.mode) ? highlights.mode : 'start';
+    const length = Number(highlights.length) > 0 ? Number(highlights.length) : 10;
+    const count = mode === 'start' ? 1 : Math.max(1, Math.round(Number(highlights.segments) || (mode === 'spread' ? 3 : 1)));
+    const offset = Math.max(0, Number(highlights.start) || 0);
+    const minDuration = Number(highlights.min_video_duration) || (offset + length * count);
+    
+    // Short clips play in full - trimming them would not save anything
+    if (duration <= minDuration || duration <= length * count) {
+      return null;
+    }
+    
+    const segments = [];
+    if (mode === 'start') {
+      const start = Math.min(offset, duration - length);
+      segments.push({ start, end: start + length });
+    } else {
+      // Each segment gets its own slice of the clip so segments never overlap
+      const slice = duration / count;
+      for (let i = 0; i < count; i++) {
+        const room = slice - length;
+        const start = mode === 'random'
+          ? i * slice + Math.random() * Math.max(0, room)
+          : i * slice + Math.max(0, room) / 2;
+        segments.push({ start, end: Math.min(duration, start + length) });
+      }
+    }
+    
+    this._videoHighlightPlans.set(mediaId, segments);
+    // Keep the lookup bounded - only recent videos can be reached with Back
+    if (this._videoHighlightPlans.size > 200) {
+      this._videoHighlightPlans.delete(this._videoHighlightPlans.keys().next().value);
+    }
+    return segments;
+  }
+
+  // V5.9: Seek to the first highlight segment once the video's duration is known
+  _startVideoHighlight(video) {
+    this._videoHighlight = null;
+    if (this._videoUserInteracted) return; // Unmute preference - play the whole video
+    
+    const segments = this._getVideoHighlightPlan(this.currentMedia?.media_content_id, video.duration);
+    if (!segments) return;
+    
+    this._videoHighlight = { segments, index: 0, done: false };
+    this._log(`🎞️ Video highlights: ${segments.map(s => `${Math.round(s.start)}-${Math.round(s.end)}s`).join(', ')}`);
+    this._seekVideoHighlight(video, segments[0].start);
+  }
+
+  _seekVideoHighlight(video, time) {
+    if (Math.abs(video.currentTime - time) < 0.5) return;
+    this._videoHighlightSeeking = true;
+    video.currentTime = time;
+  }
+
+  _updateVideoHighlight(video) {
+    const highlight = this._videoHighlight;
+    // User took over (seek, pause, click) - let the video play on from here
+    if (highlight.done || this._videoUserInteracted || this._videoHighlightSeeking) return;
+    
+    const segment = highlight.segments[highlight.index];
+    if (video.currentTime < segment.end) return;
+    
+    if (highlight.index < highlight.segments.length - 1) {
+      highlight.index++;
+      this._log(`🎞️ Video highlight ${highlight.index + 1}/${highlight.segments.length}`);
+      this._seekVideoHighlight(video, highlight.segments[highlight.index].start);
+      return;
+    }
+    
+    // Last segment played - finish the video as if it had ended
+    highlight.done = true;
+    this._log('🎞️ Video highlights finished');
+    this._onVideoEnded();
+  }
+
   // V5.6.12: Check if user's mute preference is still valid (within timeout)
   // Timeout of 0 means "never timeout" - preference persists forever
   _isUserMutePreferenceValid() {
@@ -3757,6 +4722,7 @@ export class MediaCard extends LitElement {
   // button changes video.muted already matches _getEffectiveMuteState() when this fires.
   // A mismatch means the change came from the native controls.
   _onVideoVolumeChange(e) {
+    this._updateSoundtrackDucking(); // V5.9: Unmuting a video ducks the soundtrack
     if (this._suppressVolumeChangeHandler) return;
     const video = e.target;
     if (!video) return;
@@ -3799,6 +4765,10 @@ export class MediaCard extends LitElement {
         this._isManualNavigation = true; // V5.6.7: Mark as manual navigation
         this._loadNext();
       }
+    } else if ((e.key === 'u' || e.key === 'U') && this._undoToast) {
+      // V5.9: 'U' undoes the delete/edit offered in the undo toast
+      e.preventDefault();
+      this._handleUndoClick(e);
     } else if (e.key === 'p' || e.key === 'P') {
       // V4: Pause/Resume with 'P' key
       e.preventDefault();
@@ -3814,6 +4784,7 @@ export class MediaCard extends LitElement {
       } else {
         this._setupAutoRefresh();
       }
+      this._broadcastSyncPause(); // V5.9
       
       this.requestUpdate();
     }
@@ -3835,12 +4806,25 @@ export class MediaCard extends LitElement {
     } else {
       this._resumeTimer();
     }
+    this._broadcastSyncPause(); // V5.9
   }
   
   // V4: Pause state management (copied from ha-media-card.js)
   _setPauseState(isPaused) {
+    const wasPaused = !!this._isPaused;
     this._isPaused = isPaused;
     
+    // V5.9: Tell automations about real state changes
+    if (wasPaused !== !!isPaused) {
+      this._dispatchCardEvent(isPaused ? 'media_card_paused' : 'media_card_resumed', {
+        media_content_id: this.currentMedia?.media_content_id || null,
+        paused_by_video: !!this._pausedByVideo
+      });
+    }
+    
+    // V5.9: Background music pauses with the slideshow
+    this._soundtrack?.setPaused(!!isPaused);
+    
     // Update DOM attribute for CSS styling
     if (isPaused) {
       this.setAttribute('data-is-paused', '');
@@ -3853,6 +4837,13 @@ export class MediaCard extends LitElement {
   }
 
   _onMediaLoaded(e) {
+    // V5.9: MJPEG camera streams can fire load for every frame - only the first one counts
+    const loadedSrc = e?.target?.src || '';
+    if (loadedSrc.includes('/api/camera_proxy_stream/')) {
+      if (loadedSrc === this._cameraLoadedSrc) return;
+      this._cameraLoadedSrc = loadedSrc;
+    }
+    
     // Log media loaded for images (videos log in _onVideoLoadStart)
     if (!this._isVideoFile(this.mediaUrl)) {
       this._log('Media loaded successfully:', this.mediaUrl);
@@ -3860,6 +4851,7 @@ export class MediaCard extends LitElement {
       // V5.6.7: Clear navigation flag now that image is loaded
       // This prevents timer from firing prematurely during transitions
       this._navigatingAway = false;
+      this._updateSoundtrackDucking(); // V5.9: Back to full volume after a video
     }
     
     // V5: Clear error state and retry attempts on successful load
@@ -3940,6 +4932,8 @@ export class MediaCard extends LitElement {
       this._pendingLayerSwap = false;
       
       // Swap layers to trigger crossfade
+      // V5.9: Outgoing layer is marked as exiting so effects can animate it out
+      this._exitingLayer = this._frontLayerActive ? 'front' : 'back';
       this._frontLayerActive = !this._frontLayerActive;
       this._log(`🔄 Layer swap triggered - now showing layer: ${this._frontLayerActive ? 'front' : 'back'}`);
       this.requestUpdate();
@@ -3954,10 +4948,12 @@ export class MediaCard extends LitElement {
           // Only clear if back layer hasn't been reused (generation unchanged)
           this._backLayerUrl = '';
           this._backLayerNavigationIndex = null;
+          if (this._exitingLayer === 'back') this._exitingLayer = null;
         } else if (!this._frontLayerActive && this._frontLayerGeneration === expectedFrontGen) {
           // Only clear if front layer hasn't been reused (generation unchanged)
           this._frontLayerUrl = '';
           this._frontLayerNavigationIndex = null;
+          if (this._exitingLayer === 'front') this._exitingLayer = null;
         }
         this.requestUpdate();
       }, duration + 100);
@@ -3965,7 +4961,8 @@ export class MediaCard extends LitElement {
     
     // V5.3: Apply default zoom AFTER image loads (PR #37 by BasicCPPDev)
     // This ensures the inline transform style isn't lost during re-render
-    if (this.config.default_zoom && this.config.default_zoom > 1) {
+    // V5.9: Ken Burns motion replaces the static default zoom
+    if (this.config.default_zoom && this.config.default_zoom > 1 && !this._isKenBurnsEnabled() && !this._isCollageLayout()) {
       const img = this.shadowRoot.querySelector('.media-container img');
       if (img) {
         const level = Math.max(1.0, Math.min(5.0, this.config.default_zoom));
@@ -3994,8 +4991,27 @@ export class MediaCard extends LitElement {
       this.navigationIndex = this._pendingNavigationIndex;
       this._pendingNavigationIndex = null;
       this._log('✅ Applied pending navigation index on image load');
+      this._applyPortraitPair();
+      this._publishSyncState(); // V5.9: Leader tells the sync group what is on screen
+      this._dispatchNowShowing(); // V5.9: media_card_now_showing for automations
+      this._checkpointShownItem(); // V5.9: folder.sequential.resume and persist_state cursor
+      this._schedulePersistState(); // V5.9: persist_state
     }
-    
+
+    // V5.9: Start Ken Burns motion on the image that just loaded (after pending metadata is
+    // applied so face regions from Media Index can be used as the focus point)
+    if (this._isKenBurnsEnabled() && !this._isVideoFile(this.mediaUrl)) {
+      const loadedImg = e?.target?.tagName === 'IMG'
+        ? e.target
+        : this.shadowRoot.querySelector('.media-container img');
+      this._startKenBurns(loadedImg);
+    }
+
+    // V5.9: First image is up - fill the remaining collage tiles
+    if (this._isCollageLayout() && !this._collagePrimed) {
+      this._primeCollage().catch(err => this._log('⚠️ Collage fill failed:', err));
+    }
+
     // Trigger re-render to show updated metadata/counters
     this.requestUpdate();
   }
@@ -4045,6 +5061,11 @@ export class MediaCard extends LitElement {
   _formatMetadataDisplay(metadata) {
     if (!metadata || !this.config.metadata) return '';
     
+    // V5.9: Live camera view - the camera name is all there is to show
+    if (metadata.camera_entity) {
+      return `🔴 ${metadata.filename || metadata.camera_entity}`;
+    }
+    
     const parts = [];
     
     if (this.config.metadata.show_folder && metadata.folder) {
@@ -4110,10 +5131,12 @@ export class MediaCard extends LitElement {
     }
     
     // Show rating/favorite if available (from media_index)
+    // V5.9: Star rating is shown alongside the heart instead of only when not favorited
     if (this.config.metadata.show_rating) {
       if (metadata.is_favorited) {
         parts.push('❤️');
-      } else if (metadata.rating && metadata.rating > 0) {
+      }
+      if (metadata.rating && metadata.rating > 0) {
         parts.push('⭐'.repeat(Math.min(5, Math.max(0, metadata.rating))));
       }
     }
@@ -4243,9 +5266,60 @@ export class MediaCard extends LitElement {
         }
       }
     }
-    
+
+    // V5.9: Camera and exposure settings (from media_index EXIF)
+    if (this.config.metadata.show_camera) {
+      const make = (metadata.camera_make || '').trim();
+      const model = (metadata.camera_model || '').trim();
+      // Many models already start with the make ("Canon EOS R6") - don't repeat it
+      const camera = make && !model.toLowerCase().startsWith(make.toLowerCase())
+        ? `${make} ${model}`.trim()
+        : model || make;
+      if (camera) {
+        parts.push(`📷 ${camera}`);
+      }
+    }
+
+    if (this.config.metadata.show_exposure) {
+      const exposure = [];
+      if (metadata.aperture) {
+        exposure.push(`f/${metadata.aperture}`);
+      }
+      const shutter = MediaCard._formatShutterSpeed(metadata.shutter_speed);
+      if (shutter) {
+        exposure.push(shutter);
+      }
+      if (exposure.length > 0) {
+        parts.push(`⏱️ ${exposure.join(' ')}`);
+      }
+    }
+
+    if (this.config.metadata.show_focal_length && metadata.focal_length) {
+      parts.push(`🔭 ${Math.round(Number(metadata.focal_length) * 10) / 10 || metadata.focal_length}mm`);
+    }
+
+    if (this.config.metadata.show_iso && metadata.iso) {
+      parts.push(`ISO ${metadata.iso}`);
+    }
+
     return parts.join(' • ');
   }
+
+  // V5.9: Shutter speed arrives as seconds (0.004) or already formatted ("1/250")
+  static _formatShutterSpeed(value) {
+    if (value === null || value === undefined || value === '') return '';
+
+    const seconds = Number(value);
+    if (isNaN(seconds)) {
+      const text = String(value).trim();
+      return text.endsWith('s') ? text : `${text}s`;
+    }
+    if (seconds <= 0) return '';
+    if (seconds < 1) {
+      return `1/${Math.round(1 / seconds)}s`;
+    }
+    return `${Math.round(seconds * 10) / 10}s`;
+  }
   
   // Render display entities overlay
   _renderDisplayEntities() {
@@ -4488,6 +5562,20 @@ export class MediaCard extends LitElement {
     const enableOnThisDay = this.config.action_buttons?.enable_on_this_day === true;
     const hideOnThisDayButton = this.config.action_buttons?.hide_on_this_day_button === true;
     
+    // V5.9: More photos of the people recognized in the current photo
+    const enablePeoplePhotos = this.config.action_buttons?.enable_people_photos === true;
+    const currentPeople = MediaCard._extractPeople(this._currentMetadata);
+    
+    // V5.9: Other photos taken near the current one (needs GPS coordinates)
+    const enableNearby = this.config.action_buttons?.enable_nearby === true;
+    const hasCoordinates = MediaCard._getCoordinates(this._currentMetadata) !== null;
+    
+    // V5.9: Map of the slideshow - only with a configured tile server
+    const enableMap = config.enable_map === true && !!this.config.map?.tile_url;
+    
+    // V5.9: Restart the slideshow from the first item (clears the sequential resume checkpoint)
+    const enableRestart = config.enable_restart === true;
+    
     // V5.6: Queue Preview mode (Show Queue) - works without media_index
     const enableQueuePreview = this.config.action_buttons?.enable_queue_preview === true;
     // Show button if enabled and queue has items (or still loading)
@@ -4498,8 +5586,8 @@ export class MediaCard extends LitElement {
     const showMuteButton = mediaType !== 'image';  // Show for 'all' or 'video'
     
     // Don't render anything if all buttons are disabled
-    const anyButtonEnabled = enablePause || showMuteButton || enableDebugButton || enableRefresh || enableFullscreen || 
-                            (showMediaIndexButtons && (enableFavorite || enableDelete || enableEdit || enableInfo || enableBurstReview || enableRelatedPhotos || enableOnThisDay)) ||
+    const anyButtonEnabled = enablePause || showMuteButton || enableDebugButton || enableRefresh || enableFullscreen || enableMap || enableRestart || 
+                            (showMediaIndexButtons && (enableFavorite || enableDelete || enableEdit || enableInfo || enableBurstReview || enableRelatedPhotos || enableOnThisDay || enablePeoplePhotos || enableNearby)) ||
                             showQueueButton;
     if (!anyButtonEnabled) {
       return html``;
@@ -4515,6 +5603,8 @@ export class MediaCard extends LitElement {
     const isBurstActive = this._burstMode || false;
     const isRelatedActive = this._panelMode === 'related';
     const isOnThisDayActive = this._panelMode === 'on_this_day';
+    const isPersonActive = this._panelMode === 'person';
+    const isNearbyActive = this._panelMode === 'nearby';
     const isQueueActive = this._panelMode === 'queue';
     const position = config.position || 'top-right';
     
@@ -4555,6 +5645,14 @@ export class MediaCard extends LitElement {
             <ha-icon icon="mdi:refresh"></ha-icon>
           </button>
         ` : ''}
+        ${enableRestart ? html`
+          <button
+            class="action-btn restart-btn"
+            @click=${this._handleRestartClick}
+            title="Restart from beginning">
+            <ha-icon icon="mdi:skip-backward"></ha-icon>
+          </button>
+        ` : ''}
         ${enableFullscreen ? html`
           <button
             class="action-btn fullscreen-btn"
@@ -4595,6 +5693,30 @@ export class MediaCard extends LitElement {
             <ha-icon icon="mdi:calendar-multiple"></ha-icon>
           </button>
         ` : ''}
+        ${showMediaIndexButtons && enablePeoplePhotos && (currentPeople.length > 0 || isPersonActive) ? html`
+          <button
+            class="action-btn people-btn ${isPersonActive ? 'active' : ''} ${this._peopleLoading ? 'loading' : ''}"
+            @click=${this._handlePeopleClick}
+            title="${isPersonActive ? 'Person Active' : `More of ${currentPeople.join(', ')}`}">
+            <ha-icon icon="mdi:account-multiple-outline"></ha-icon>
+          </button>
+        ` : ''}
+        ${showMediaIndexButtons && enableNearby && (hasCoordinates || isNearbyActive) ? html`
+          <button
+            class="action-btn nearby-btn ${isNearbyActive ? 'active' : ''} ${this._nearbyLoading ? 'loading' : ''}"
+            @click=${this._handleNearbyClick}
+            title="${isNearbyActive ? 'Nearby Active' : 'Nearby'}">
+            <ha-icon icon="mdi:map-marker-radius-outline"></ha-icon>
+          </button>
+        ` : ''}
+        ${enableMap ? html`
+          <button
+            class="action-btn map-btn ${this._showQueueMap ? 'active' : ''}"
+            @click=${this._handleMapClick}
+            title="Map of this slideshow">
+            <ha-icon icon="mdi:map-outline"></ha-icon>
+          </button>
+        ` : ''}
         ${showQueueButton ? html`
           <button
             class="action-btn queue-btn ${isQueueActive ? 'active' : ''}"
@@ -4677,6 +5799,8 @@ export class MediaCard extends LitElement {
     // Current position is navigationIndex (starts at 0 after first increment from -1)
     const currentIndex = this.navigationIndex;
     const currentPosition = currentIndex + 1;
+    // V5.9: A portrait pair covers two positions
+    const pairedIndex = this._pairedItem?.index ?? -1;
     
     // V5.6.8: Use remembered total from previous loop if queue is being repopulated
     // This prevents "1 of 30" showing when user saw 86 items before wrap
@@ -4700,7 +5824,7 @@ export class MediaCard extends LitElement {
       // This ensures consistent display even when at position 1 after refresh
       positionIndicator = html`
         <div class="position-indicator">
-          ${currentPosition} of ${totalSeen}
+          ${pairedIndex === currentIndex + 1 ? `${currentPosition}–${currentPosition + 1}` : currentPosition} of ${totalSeen}
         </div>
       `;
     }
@@ -4711,7 +5835,7 @@ export class MediaCard extends LitElement {
       const dots = [];
       for (let i = 0; i < totalCount; i++) {
         dots.push(html`
-          <div class="dot ${i === currentIndex ? 'active' : ''}"></div>
+          <div class="dot ${i === currentIndex || i === pairedIndex ? 'active' : ''}"></div>
         `);
       }
       dotsIndicator = html`
@@ -4775,6 +5899,27 @@ export class MediaCard extends LitElement {
                 <div class="info-value">${metadata.path}</div>
               </div>
             ` : ''}
+            ${MediaCard._extractPeople(metadata).length > 0 ? html`
+              <div class="info-section">
+                <div class="info-label">People:</div>
+                <div class="info-value">
+                  ${MediaCard._extractPeople(metadata).map(name => html`
+                    <button
+                      class="info-person-link"
+                      @click=${() => this._showMorePhotosOf(name, MediaCard._extractPeople(metadata))}
+                      title="More photos of ${name}">
+                      ${name}
+                    </button>
+                  `)}
+                </div>
+              </div>
+            ` : ''}
+            ${MediaCard._extractTags(metadata).length > 0 ? html`
+              <div class="info-section">
+                <div class="info-label">Tags:</div>
+                <div class="info-value">${MediaCard._extractTags(metadata).join(', ')}</div>
+              </div>
+            ` : ''}
             ${metadata.rating !== null && metadata.rating !== undefined ? html`
               <div class="info-section">
                 <div class="info-label">Rating:</div>
@@ -4827,6 +5972,7 @@ export class MediaCard extends LitElement {
                 <div class="info-value">${exif.latitude?.toFixed(6)}, ${exif.longitude?.toFixed(6)}</div>
               </div>
             ` : ''}
+            ${this._renderMiniMap(MediaCard._getCoordinates(metadata))}
             
             ${exif.camera_make || exif.camera_model ? html`
               <div class="info-group-header">📷 Camera</div>
@@ -5481,12 +6627,22 @@ export class MediaCard extends LitElement {
         this._refreshTimeout = null;
       }
     }
+
+    // V5.9: Freeze Ken Burns motion together with the timer
+    if (this._kenBurnsAnimation?.playState === 'running') {
+      this._kenBurnsAnimation.pause();
+    }
   }
 
   // Helper method to resume the auto-advance timer
   _resumeTimer() {
     this._setupAutoRefresh();
     this._pauseLogShown = false;
+
+    // V5.9: Continue Ken Burns motion from where it was frozen
+    if (!this._isPaused && this._kenBurnsAnimation?.playState === 'paused') {
+      this._kenBurnsAnimation.play();
+    }
   }
 
   // V4: Handle pause button click
@@ -5508,6 +6664,7 @@ export class MediaCard extends LitElement {
       this._resumeTimer();
       this._log('▶️ RESUMED slideshow - timer restarted');
     }
+    this._broadcastSyncPause(); // V5.9
   }
   
   // Handle debug button click - toggle debug mode dynamically
@@ -5541,6 +6698,51 @@ export class MediaCard extends LitElement {
     this.requestUpdate();
   }
   
+  // V5.9: Restart button - asks first, since a long sequential walk loses its place
+  async _handleRestartClick(e) {
+    e.stopPropagation();
+    
+    // Restart timer on touch (gives user full time to choose next action)
+    if (this._showButtonsExplicitly) {
+      this._startActionButtonsHideTimer();
+    }
+    
+    const confirmed = await this._showConfirmationDialog('Restart the slideshow from the beginning?', {
+      confirmLabel: 'Restart'
+    });
+    if (!confirmed) return;
+    
+    await this._restartFromBeginning();
+  }
+
+  // V5.9: Start the slideshow over from its first item - drops the resume checkpoint and persist_state
+  async _restartFromBeginning() {
+    this._log('⏮️ Restarting slideshow from the beginning');
+    if (this._panelOpen) {
+      await this._exitPanelMode();
+    }
+    
+    if (typeof this.provider?.clearCheckpoint === 'function') {
+      this.provider.clearCheckpoint();
+    }
+    if (this._persistTimer) {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = null;
+    }
+    if (this._getPersistStateConfig()) {
+      StateStore.remove(this._getPersistStateKey());
+    }
+    if (this.provider?.dispose) {
+      this.provider.dispose();
+    }
+    
+    this._clearNavigationState();
+    this.provider = null;
+    this.isLoading = true;
+    
+    await this._initializeProvider();
+  }
+
   // Handle refresh button click - reload current media
   async _handleRefreshClick(e) {
     e.stopPropagation();
@@ -5770,6 +6972,268 @@ export class MediaCard extends LitElement {
     await this._enterOnThisDayMode();
   }
   
+  // V5.9: Names of recognized faces - accepts ["Alice", ...] or [{ name: "Alice" }, ...]
+  static _extractPeople(metadata) {
+    const people = metadata?.people ?? metadata?.exif?.people ?? [];
+    const list = Array.isArray(people) ? people : String(people).split(',');
+    return [...new Set(list
+      .map(person => (typeof person === 'object' && person !== null ? person.name : String(person)).trim())
+      .filter(Boolean))];
+  }
+
+  // V5.9: People button opens "more photos of this person" for the first person in the photo
+  async _handlePeopleClick(e) {
+    e.stopPropagation();
+    
+    // Restart timer on touch (gives user full time to choose next action)
+    if (this._showButtonsExplicitly) {
+      this._startActionButtonsHideTimer();
+    }
+    
+    if (this._panelOpen && this._panelMode === 'person') {
+      this._exitPanelMode();
+    } else {
+      const people = MediaCard._extractPeople(this._currentMetadata);
+      if (people.length > 0) {
+        await this._enterPersonMode(people[0], people);
+      }
+    }
+  }
+
+  // V5.9: Name in the info panel - close the overlay and show that person's photos
+  async _showMorePhotosOf(name, people) {
+    this._showInfoOverlay = false;
+    await this._enterPersonMode(name, people);
+  }
+
+  async _handlePersonChange(e) {
+    await this._enterPersonMode(e.target.value, this._personPanelPeople);
+  }
+
+  // V5.9: GPS coordinates from item metadata (top level or under exif), or null
+  static _getCoordinates(metadata) {
+    const latitude = metadata?.latitude ?? metadata?.exif?.latitude;
+    const longitude = metadata?.longitude ?? metadata?.exif?.longitude;
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+      return null;
+    }
+    return { latitude: Number(latitude), longitude: Number(longitude) };
+  }
+
+  // V5.9: Nearby button shows other photos taken within nearby_radius_km of the current one
+  async _handleNearbyClick(e) {
+    e.stopPropagation();
+    
+    // Restart timer on touch (gives user full time to choose next action)
+    if (this._showButtonsExplicitly) {
+      this._startActionButtonsHideTimer();
+    }
+    
+    if (this._panelOpen && this._panelMode === 'nearby') {
+      this._exitPanelMode();
+    } else {
+      // Capture coordinates NOW before any auto-advance can change them
+      const coordinates = MediaCard._getCoordinates(this._currentMetadata);
+      if (coordinates) {
+        this._nearbyRadiusKm = Number(this.config.action_buttons?.nearby_radius_km) || 5;
+        await this._enterNearbyMode({ ...coordinates, uri: this._currentMediaPath });
+      }
+    }
+  }
+
+  async _handleNearbyRadiusChange(e) {
+    this._nearbyRadiusKm = parseFloat(e.target.value);
+    await this._enterNearbyMode(this._nearbyOrigin);
+  }
+
+  // V5.9: Keywords from Media Index metadata (IPTC/XMP keywords, top level or under exif)
+  static _extractTags(metadata) {
+    const tags = metadata?.tags ?? metadata?.keywords ?? metadata?.exif?.keywords ?? [];
+    return Array.isArray(tags) ? tags : String(tags).split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  /**
+   * V5.9: Maps use plain slippy-map tiles from map.tile_url ({z}/{x}/{y}), so a local
+   * tile server works without internet access. No map library - tiles are positioned
+   * around the center point in web mercator pixel space.
+   */
+  static _latLonToWorldPx(latitude, longitude, zoom) {
+    const scale = 256 * Math.pow(2, zoom);
+    const sinLat = Math.sin(Math.max(-85.05, Math.min(85.05, latitude)) * Math.PI / 180);
+    return {
+      x: (longitude + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+    };
+  }
+
+  _getMapTileUrl(zoom, x, y) {
+    const tileCount = Math.pow(2, zoom);
+    const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+    return this.config.map.tile_url
+      .replace('{z}', zoom)
+      .replace('{x}', wrappedX)
+      .replace('{y}', y)
+      .replace('{s}', 'abc'[(wrappedX + y) % 3]);
+  }
+
+  // Tiles covering width x height pixels around a world pixel center (positioned from the map's middle)
+  _renderMapTiles(center, zoom, width, height) {
+    const tileCount = Math.pow(2, zoom);
+    const minTileX = Math.floor((center.x - width / 2) / 256);
+    const maxTileX = Math.floor((center.x + width / 2) / 256);
+    const minTileY = Math.max(0, Math.floor((center.y - height / 2) / 256));
+    const maxTileY = Math.min(tileCount - 1, Math.floor((center.y + height / 2) / 256));
+    
+    const tiles = [];
+    for (let tileY = minTileY; tileY <= maxTileY; tileY++) {
+      for (let tileX = minTileX; tileX <= maxTileX; tileX++) {
+        tiles.push(html`
+          <img
+            class="map-tile"
+            src="${this._getMapTileUrl(zoom, tileX, tileY)}"
+            style="left: calc(50% + ${tileX * 256 - center.x}px); top: calc(50% + ${tileY * 256 - center.y}px);"
+            alt=""
+            draggable="false"
+          />
+        `);
+      }
+    }
+    return tiles;
+  }
+
+  _renderMapAttribution() {
+    const attribution = this.config.map?.attribution;
+    return attribution ? html`<div class="map-attribution">${attribution}</div>` : '';
+  }
+
+  // V5.9: Mini map with a pin at the photo's location (info panel)
+  _renderMiniMap(coordinates) {
+    if (!coordinates || !this.config.map?.tile_url) return '';
+    
+    const zoom = Math.round(Number(this.config.map.zoom ?? 13));
+    const center = MediaCard._latLonToWorldPx(coordinates.latitude, coordinates.longitude, zoom);
+    
+    return html`
+      <div class="mini-map">
+        ${this._renderMapTiles(center, zoom, 640, 180)}
+        <ha-icon class="map-pin" icon="mdi:map-marker"></ha-icon>
+        ${this._renderMapAttribution()}
+      </div>
+    `;
+  }
+
+  // V5.9: Map button opens the map of everything in the navigation queue
+  _handleMapClick(e) {
+    e.stopPropagation();
+    
+    // Restart timer on touch (gives user full time to choose next action)
+    if (this._showButtonsExplicitly) {
+      this._startActionButtonsHideTimer();
+    }
+    
+    this._showQueueMap = !this._showQueueMap;
+    if (this._showQueueMap) {
+      const card = this.shadowRoot?.querySelector('.card');
+      this._queueMapSize = {
+        width: card?.clientWidth || 600,
+        height: card?.clientHeight || 400
+      };
+      this._resolveQueueMapThumbnails();
+    }
+    this.requestUpdate();
+  }
+
+  _getQueueMapItems() {
+    return (this.navigationQueue || [])
+      .map((item, index) => ({ item, index, coordinates: MediaCard._getCoordinates(item.metadata) }))
+      .filter(entry => entry.coordinates && !entry.item._invalid);
+  }
+
+  // Same URL resolution as the thumbnail strip - results are cached on the queue items
+  async _resolveQueueMapThumbnails() {
+    const pending = this._getQueueMapItems()
+      .map(entry => entry.item)
+      .filter(item => !item._resolvedUrl && !item._resolving);
+    if (pending.length === 0) return;
+    
+    await Promise.all(pending.map(async (item) => {
+      item._resolving = true;
+      try {
+        const resolved = await this.hass.callWS({
+          type: 'media_source/resolve_media',
+          media_content_id: item.media_content_id,
+          expires: 3600
+        });
+        item._resolvedUrl = resolved.url;
+      } catch (error) {
+        console.error('Failed to resolve map thumbnail:', error);
+      } finally {
+        item._resolving = false;
+      }
+    }));
+    this.requestUpdate();
+  }
+
+  _renderQueueMap() {
+    if (!this._showQueueMap || !this.config.map?.tile_url) {
+      return html``;
+    }
+    
+    const entries = this._getQueueMapItems();
+    const { width, height } = this._queueMapSize || { width: 600, height: 400 };
+    const maxZoom = Math.round(Number(this.config.map.max_zoom ?? 16));
+    const padding = 40;
+    
+    // Largest zoom that fits every photo on screen
+    let zoom = maxZoom;
+    let center = { x: 0, y: 0 };
+    if (entries.length > 0) {
+      for (; zoom > 0; zoom--) {
+        const points = entries.map(entry => MediaCard._latLonToWorldPx(entry.coordinates.latitude, entry.coordinates.longitude, zoom));
+        const minX = Math.min(...points.map(p => p.x));
+        const maxX = Math.max(...points.map(p => p.x));
+        const minY = Math.min(...points.map(p => p.y));
+        const maxY = Math.max(...points.map(p => p.y));
+        center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+        if (maxX - minX <= width - padding * 2 && maxY - minY <= height - padding * 2) break;
+      }
+    }
+    
+    return html`
+      <div class="queue-map-overlay" @click=${(e) => e.stopPropagation()}>
+        <div class="queue-map-header">
+          <span>🗺️ ${entries.length} of ${this.navigationQueue?.length || 0} items have a location</span>
+          <button class="info-close-btn" @click=${() => { this._showQueueMap = false; this.requestUpdate(); }}>
+            <ha-icon icon="mdi:close"></ha-icon>
+          </button>
+        </div>
+        <div class="queue-map">
+          ${entries.length > 0 ? html`
+            ${this._renderMapTiles(center, zoom, width, height)}
+            ${entries.map(({ item, index, coordinates }) => {
+              const point = MediaCard._latLonToWorldPx(coordinates.latitude, coordinates.longitude, zoom);
+              const isCurrent = index === this.navigationIndex;
+              return html`
+                <button
+                  class="map-marker ${isCurrent ? 'current' : ''}"
+                  style="left: calc(50% + ${point.x - center.x}px); top: calc(50% + ${point.y - center.y}px);"
+                  title="${item.title || item.metadata?.filename || ''}"
+                  @click=${() => { this._showQueueMap = false; this._jumpToQueuePosition(index); }}>
+                  ${item._resolvedUrl && !this._isVideoItem(item)
+                    ? html`<img src="${item._resolvedUrl}" alt="" />`
+                    : html`<ha-icon icon="${this._isVideoItem(item) ? 'mdi:filmstrip' : 'mdi:image'}"></ha-icon>`}
+                </button>
+              `;
+            })}
+            ${this._renderMapAttribution()}
+          ` : html`
+            <div class="panel-empty">No items in the queue have GPS coordinates</div>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
   // Helper to fetch full metadata asynchronously (called from render when overlay is open)
   async _fetchFullMetadataAsync() {
     // Prevent duplicate fetches
@@ -5929,30 +7393,14 @@ export class MediaCard extends LitElement {
     if (!targetUri || !MediaProvider.isMediaIndexActive(this.config)) return;
     
     try {
-      this._log('🗑️ Deleting file:', targetUri);
-      
-      // V5.2: Call media_index service with media_source_uri (no path conversion needed)
-      const wsCall = {
-        type: 'call_service',
-        domain: 'media_index',
-        service: 'delete_media',
-        service_data: {
-          media_source_uri: targetUri
-        },
-        return_response: true
-      };
-      
-      // V4: Target specific entity if configured
-      if (this.config.media_index?.entity_id) {
-        wsCall.target = {
-          entity_id: this.config.media_index.entity_id
-        };
+      // V5.9: With an undo window the file is only moved once the undo toast expires
+      const undoSeconds = this._getUndoSeconds();
+      if (undoSeconds > 0) {
+        this._deferRemoval(targetUri, 'delete', undoSeconds);
+      } else {
+        await this._deleteMediaFile(targetUri);
       }
       
-      await this.hass.callWS(wsCall);
-      
-      this._log('✅ Media deleted successfully');
-      
       // V4 CODE REUSE: Remove file from history and exclude from future queries
       // Same logic as _performEdit - prevent showing deleted files
       
@@ -6269,31 +7717,14 @@ export class MediaCard extends LitElement {
     if (!targetUri || !MediaProvider.isMediaIndexActive(this.config)) return;
     
     try {
-      this._log('✏️ Marking file for edit:', targetUri);
-      
-      // V5.2: Call media_index service with media_source_uri (no path conversion needed)
-      const wsCall = {
-        type: 'call_service',
-        domain: 'media_index',
-        service: 'mark_for_edit',
-        service_data: {
-          media_source_uri: targetUri,
-          mark_for_edit: true
-        },
-        return_response: true
-      };
-      
-      // V4: Target specific entity if configured
-      if (this.config.media_index?.entity_id) {
-        wsCall.target = {
-          entity_id: this.config.media_index.entity_id
-        };
+      // V5.9: With an undo window the file is only moved once the undo toast expires
+      const undoSeconds = this._getUndoSeconds();
+      if (undoSeconds > 0) {
+        this._deferRemoval(targetUri, 'edit', undoSeconds);
+      } else {
+        await this._markFileForEdit(targetUri);
       }
       
-      await this.hass.callWS(wsCall);
-      
-      this._log('✅ File marked for editing');
-      
       // V5.3: Remove file from navigation queue and exclude from future queries
       
       // Add to provider's exclusion list to prevent reappearance (use captured targetUri)
@@ -6368,7 +7799,218 @@ export class MediaCard extends LitElement {
     }
   }
   
-  // V5.5: Burst Review Mode Helper Methods (At This Moment feature)
+  async _deleteMediaFile(targetUri) {
+    this._log('🗑️ Deleting file:', targetUri);
+    
+    // V5.2: Call media_index service with media_source_uri (no path conversion needed)
+    const wsCall = {
+      type: 'call_service',
+      domain: 'media_index',
+      service: 'delete_media',
+      service_data: {
+        media_source_uri: targetUri
+      },
+      return_response: true
+    };
+    
+    // V4: Target specific entity if configured
+    if (this.config.media_index?.entity_id) {
+      wsCall.target = {
+        entity_id: this.config.media_index.entity_id
+      };
+    }
+    
+    await this.hass.callWS(wsCall);
+    
+    this._log('✅ Media deleted successfully');
+  }
+  
+  async _markFileForEdit(targetUri) {
+    this._log('✏️ Marking file for edit:', targetUri);
+    
+    // V5.2: Call media_index service with media_source_uri (no path conversion needed)
+    const wsCall = {
+      type: 'call_service',
+      domain: 'media_index',
+      service: 'mark_for_edit',
+      service_data: {
+        media_source_uri: targetUri,
+        mark_for_edit: true
+      },
+      return_response: true
+    };
+    
+    // V4: Target specific entity if configured
+    if (this.config.media_index?.entity_id) {
+      wsCall.target = {
+        entity_id: this.config.media_index.entity_id
+      };
+    }
+    
+    await this.hass.callWS(wsCall);
+    
+    this._log('✅ File marked for editing');
+  }
+  
+  // V5.9: Seconds a delete/edit can be undone (0 = move the file right away, no toast)
+  _getUndoSeconds() {
+    const seconds = Number(this.config.undo?.timeout ?? 8);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+  
+  /**
+   * V5.9: Hold a delete/edit back for the undo window. The files leave the queues right
+   * away, but delete_media / mark_for_edit only runs when the toast expires, so Undo
+   * never has to move a file back. Bulk actions pass several URIs as one undo step.
+   */
+  _deferRemoval(targetUris, action, undoSeconds) {
+    // One undo at a time - an earlier pending move goes through now
+    if (this._undoToast) {
+      this._commitRemoval(this._undoToast);
+    }
+    
+    const removals = [].concat(targetUris).map(targetUri => {
+      // Keep the full item (metadata included) so it goes back into the queue unchanged
+      const queueIndex = this.navigationQueue.findIndex(item => item.media_content_id === targetUri);
+      const item = queueIndex >= 0
+        ? this.navigationQueue[queueIndex]
+        : {
+            media_content_id: targetUri,
+            title: MediaProvider.extractFilename(targetUri),
+            media_content_type: MediaProvider.detectMediaType(targetUri),
+            metadata: this._currentMediaPath === targetUri ? { ...this._currentMetadata } : {}
+          };
+      return { uri: targetUri, item, queueIndex: queueIndex >= 0 ? queueIndex : null };
+    });
+    
+    const entry = {
+      action,
+      removals,
+      label: removals.length === 1
+        ? removals[0].item.metadata?.filename || MediaProvider.extractFilename(removals[0].uri)
+        : `${removals.length} items`
+    };
+    
+    this._log(`⏳ ${action === 'delete' ? 'Delete' : 'Edit'} of ${entry.label} runs in ${undoSeconds}s unless undone`);
+    this._undoToast = entry;
+    this._undoToastTimer = setTimeout(() => this._commitRemoval(entry), undoSeconds * 1000);
+    this.requestUpdate();
+  }
+  
+  // V5.9: Undo window is over - move the files
+  async _commitRemoval(entry) {
+    if (this._undoToast === entry) {
+      this._hideUndoToast();
+    }
+    
+    const label = entry.action === 'delete' ? 'delete media' : 'mark for edit';
+    const failures = [];
+    for (const removal of entry.removals) {
+      try {
+        if (entry.action === 'delete') {
+          await this._deleteMediaFile(removal.uri);
+        } else {
+          await this._markFileForEdit(removal.uri);
+        }
+      } catch (error) {
+        console.error(`Failed to ${label}:`, removal.uri, error);
+        failures.push({ removal, error });
+      }
+    }
+    if (failures.length === 0) return;
+    
+    if (entry.removals.length === 1) {
+      alert(`Failed to ${label}: ` + failures[0].error.message);
+    } else {
+      alert(`Failed to ${label} for ${failures.length} of ${entry.removals.length} items: ` + failures[0].error.message);
+    }
+    // Those files never moved - let them show again
+    await this._reinsertRemovedItems(failures.map(failure => failure.removal));
+  }
+  
+  _hideUndoToast() {
+    if (this._undoToastTimer) {
+      clearTimeout(this._undoToastTimer);
+      this._undoToastTimer = null;
+    }
+    this._undoToast = null;
+    this.requestUpdate();
+  }
+  
+  _handleUndoClick(e) {
+    e?.stopPropagation();
+    const entry = this._undoToast;
+    if (!entry) return;
+    
+    // Nothing was moved yet - cancel the pending call and bring the files straight back
+    this._hideUndoToast();
+    this._log('↩️ Undo:', entry.action, entry.label);
+    this._reinsertRemovedItems(entry.removals, true);
+  }
+  
+  /**
+   * V5.9: Put items held back by _deferRemoval back where they were in the
+   * navigation queue and history
+   */
+  async _reinsertRemovedItems(removals, showAfterInsert = false) {
+    let firstIndex = null;
+    
+    // Lowest old position first, so each one lands where it was before the others were removed
+    const ordered = [...removals].sort((a, b) => (a.queueIndex ?? Infinity) - (b.queueIndex ?? Infinity));
+    for (const removal of ordered) {
+      // Allow the provider to return it again
+      if (this.provider?.excludedFiles?.delete) {
+        this.provider.excludedFiles.delete(removal.uri);
+        this._log(`📝 Removed from provider exclusion list: ${removal.uri}`);
+      }
+      
+      // Back into the navigation queue at its old position (or right after the current item)
+      let queueIndex = this.navigationQueue.findIndex(item => item.media_content_id === removal.uri);
+      if (queueIndex < 0) {
+        queueIndex = Math.min(removal.queueIndex ?? this.navigationIndex + 1, this.navigationQueue.length);
+        queueIndex = Math.max(0, queueIndex);
+        this.navigationQueue.splice(queueIndex, 0, removal.item);
+        if (queueIndex <= this.navigationIndex) {
+          this.navigationIndex++;
+        }
+        this._log(`📚 Re-inserted into navigation queue at index ${queueIndex}`);
+      }
+      if (firstIndex === null) {
+        firstIndex = queueIndex;
+      }
+      
+      if (!this.history.some(h => h.media_content_id === removal.uri)) {
+        this.history.push(removal.item);
+      }
+    }
+    
+    // Panels keep their own queue - only jump when the main slideshow is showing
+    if (showAfterInsert && firstIndex !== null && !this._panelOpen) {
+      await this._jumpToQueuePosition(firstIndex);
+    }
+    this.requestUpdate();
+  }
+  
+  _renderUndoToast() {
+    const entry = this._undoToast;
+    if (!entry) {
+      return html``;
+    }
+    
+    return html`
+      <div class="undo-toast" @click=${(e) => e.stopPropagation()}>
+        <ha-icon icon="${entry.action === 'delete' ? 'mdi:delete-outline' : 'mdi:pencil-outline'}"></ha-icon>
+        <span class="undo-toast-text">
+          ${entry.action === 'delete' ? 'Moving to _Junk' : 'Moving to _Edit'}: ${entry.label}
+        </span>
+        <button class="undo-toast-btn" @click=${this._handleUndoClick}>
+          Undo
+        </button>
+      </div>
+    `;
+  }
+  
+  // V5.5: Burst Review Mode Helper Methods (At This Moment feature)
   
   /**
    * Enter burst review mode - query service and display side panel
@@ -6424,6 +8066,7 @@ export class MediaCard extends LitElement {
       const rawItems = response.response?.items || [];
       this._panelQueue = rawItems;
       this._panelQueueIndex = 0; // Start with first photo in burst
+      this._exitSelectionMode(); // V5.9
       this._panelMode = 'burst';
       this._panelOpen = true;
       
@@ -6568,6 +8211,7 @@ export class MediaCard extends LitElement {
       
       this._panelQueue = sortedItems;
       this._panelQueueIndex = 0;
+      this._exitSelectionMode(); // V5.9
       this._panelMode = 'related';
       this._panelOpen = true;
       
@@ -6613,6 +8257,7 @@ export class MediaCard extends LitElement {
       // Queue preview doesn't need to save/restore queue - it reads directly from navigationQueue
       // No need for _panelQueue - we'll reference navigationQueue directly
       
+      this._exitSelectionMode(); // V5.9
       this._panelMode = 'queue';
       this._panelOpen = true;
       
@@ -6642,6 +8287,185 @@ export class MediaCard extends LitElement {
     this._exitPanelMode();
   }
 
+  /**
+   * V5.9: Save the main queue before a discovery panel replaces it.
+   * Re-querying the same panel (another person, another radius) keeps the queue saved
+   * when the panel was first opened; other replacing panels are closed first.
+   */
+  async _saveMainQueueForPanel(mode) {
+    if (this._panelOpen && this._panelMode === mode) return;
+    
+    if (this._panelOpen && this._panelMode !== 'queue') {
+      await this._exitPanelMode();
+    }
+    
+    this._mainQueue = [...this.navigationQueue];
+    this._mainQueueIndex = this.navigationIndex;
+    this._previousPanelMode = this._panelMode;
+    
+    if (this._panelMode === 'queue') {
+      this._previousQueuePageIndex = this._panelPageStartIndex;
+    }
+  }
+
+  /**
+   * V5.9: Enter "nearby" mode - other photos taken within _nearbyRadiusKm of a GPS point
+   * @param {Object} origin - { latitude, longitude, uri } of the photo the panel was opened from
+   */
+  async _enterNearbyMode(origin) {
+    if (!origin || !MediaProvider.isMediaIndexActive(this.config)) {
+      console.warn('Cannot enter nearby mode: no coordinates or media_index inactive');
+      return;
+    }
+    
+    const radiusKm = this._nearbyRadiusKm || 5;
+    this._nearbyLoading = true;
+    this._panelLoading = true;
+    this.requestUpdate();
+    
+    try {
+      await this._saveMainQueueForPanel('nearby');
+      
+      const wsCall = {
+        type: 'call_service',
+        domain: 'media_index',
+        service: 'get_random_items',
+        service_data: {
+          count: 100, // Get up to 100 photos from around here
+          near_latitude: origin.latitude,
+          near_longitude: origin.longitude,
+          radius_km: radiusKm
+        },
+        return_response: true
+      };
+      
+      if (this.config.media_index?.entity_id) {
+        wsCall.target = { entity_id: this.config.media_index.entity_id };
+      }
+      
+      const response = await this.hass.callWS(wsCall);
+      
+      // Closest first, leaving out the photo the panel was opened from
+      const items = (response.response?.items || [])
+        .filter(item => (item.media_source_uri || `media-source://media_source${item.path}`) !== origin.uri)
+        .map(item => {
+          const coordinates = MediaCard._getCoordinates(item);
+          item._distanceKm = coordinates
+            ? MediaUtils.distanceKm(origin.latitude, origin.longitude, coordinates.latitude, coordinates.longitude)
+            : null;
+          return item;
+        })
+        .sort((a, b) => (a._distanceKm ?? Infinity) - (b._distanceKm ?? Infinity));
+      
+      const wasOpen = this._panelOpen && this._panelMode === 'nearby';
+      this._nearbyOrigin = origin;
+      this._panelQueue = items;
+      this._panelQueueIndex = 0;
+      this._exitSelectionMode(); // V5.9
+      this._panelMode = 'nearby';
+      this._panelOpen = true;
+      this._panelPageStartIndex = 0;
+      
+      this._log(`📍 Nearby panel loaded: ${items.length} files within ${radiusKm} km`);
+      
+      if (items.length > 0) {
+        await this._loadPanelItem(0);
+      }
+      
+      // Pause auto-advance while browsing (same as Same Date)
+      if (!wasOpen) {
+        this._previousPauseState = this._isPaused;
+        if (!this._isPaused) {
+          this._setPauseState(true);
+        }
+      }
+      
+    } catch (error) {
+      console.error('Failed to enter nearby mode:', error);
+      alert('Failed to load nearby photos: ' + error.message);
+    } finally {
+      this._nearbyLoading = false;
+      this._panelLoading = false;
+      this.requestUpdate();
+    }
+  }
+
+  /**
+   * V5.9: Enter "person" mode - other photos with a recognized face (Media Index people data)
+   * @param {string} name - Person to show
+   * @param {string[]} people - Everyone in the source photo (offered as a switch in the header)
+   */
+  async _enterPersonMode(name, people = []) {
+    if (!name || !MediaProvider.isMediaIndexActive(this.config)) {
+      console.warn('Cannot enter person mode: no person or media_index inactive');
+      return;
+    }
+    
+    this._peopleLoading = true;
+    this._panelLoading = true;
+    this.requestUpdate();
+    
+    try {
+      await this._saveMainQueueForPanel('person');
+      
+      const wsCall = {
+        type: 'call_service',
+        domain: 'media_index',
+        service: 'get_random_items',
+        service_data: {
+          count: 100, // Get up to 100 photos of this person
+          people: [name]
+        },
+        return_response: true
+      };
+      
+      if (this.config.media_index?.entity_id) {
+        wsCall.target = { entity_id: this.config.media_index.entity_id };
+      }
+      
+      const response = await this.hass.callWS(wsCall);
+      
+      // Newest first - most people want recent photos of someone
+      const items = (response.response?.items || []).sort((a, b) => {
+        const timeA = String(a.date_taken || a.created_time || '');
+        const timeB = String(b.date_taken || b.created_time || '');
+        return timeB.localeCompare(timeA);
+      });
+      
+      const wasOpen = this._panelOpen && this._panelMode === 'person';
+      this._personPanelName = name;
+      this._personPanelPeople = people.length > 0 ? people : [name];
+      this._panelQueue = items;
+      this._panelQueueIndex = 0;
+      this._exitSelectionMode(); // V5.9
+      this._panelMode = 'person';
+      this._panelOpen = true;
+      this._panelPageStartIndex = 0;
+      
+      this._log(`👤 Person panel loaded: ${name} (${items.length} files)`);
+      
+      if (items.length > 0) {
+        await this._loadPanelItem(0);
+      }
+      
+      // Pause auto-advance while browsing (same as Same Date)
+      if (!wasOpen) {
+        this._previousPauseState = this._isPaused;
+        if (!this._isPaused) {
+          this._setPauseState(true);
+        }
+      }
+      
+    } catch (error) {
+      console.error('Failed to enter person mode:', error);
+      alert('Failed to load photos of ' + name + ': ' + error.message);
+    } finally {
+      this._peopleLoading = false;
+      this._panelLoading = false;
+      this.requestUpdate();
+    }
+  }
+
   /**
    * Enter "On This Day" mode - show photos from today's date across all years
    */
@@ -6738,6 +8562,7 @@ export class MediaCard extends LitElement {
       console.warn(`📅 Found ${items.length} photos from ${month}/${day} across years (window: ±${windowDays})`);
       
       // Enter panel mode (even if 0 results - user can adjust window)
+      this._exitSelectionMode(); // V5.9
       this._panelMode = 'on_this_day';
       this._panelOpen = true;
       this._panelQueue = items;
@@ -6774,6 +8599,7 @@ export class MediaCard extends LitElement {
    */
   async _exitPanelMode() {
     this._log(`🚪 Exiting panel mode: ${this._panelMode}, burstAllFiles: ${this._burstAllFiles?.length || 0}`);
+    this._exitSelectionMode(); // V5.9
     
     try {
       // Handle burst-specific exit actions - always save metadata to record burst_count
@@ -6915,6 +8741,13 @@ export class MediaCard extends LitElement {
     return MediaUtils.detectFileType(path) === 'video';
   }
   
+  /**
+   * V5.9: Check if item is a live camera view (live_camera)
+   */
+  _isCameraItem(item) {
+    return item?.media_content_type === 'camera' && !!item.metadata?.camera_entity;
+  }
+  
   /**
    * V5.6: Check if item is a video file
    */
@@ -7154,6 +8987,11 @@ export class MediaCard extends LitElement {
         this.provider.excludeFile(item.media_source_uri);
         this._log('🚫 Excluded file from provider (uri):', item.media_source_uri);
       }
+      // V5.9: Playlist items only carry media_content_id
+      if (!item.path && !item.media_source_uri && item.media_content_id) {
+        this.provider.excludeFile(item.media_content_id);
+        this._log('🚫 Excluded file from provider (id):', item.media_content_id);
+      }
     }
 
     // Helper to match items by identifier - handle both URI and path formats
@@ -7262,7 +9100,7 @@ export class MediaCard extends LitElement {
    */
   _pageQueueThumbnails(direction) {
     // Works for queue, burst, related, on_this_day, and history modes
-    if (!['queue', 'burst', 'related', 'on_this_day', 'history'].includes(this._panelMode)) return;
+    if (!['queue', 'burst', 'related', 'on_this_day', 'person', 'nearby', 'history'].includes(this._panelMode)) return;
 
     const oldIndex = this._panelPageStartIndex || 0;
     const items = this._panelMode === 'queue' ? this.navigationQueue : this._panelQueue;
@@ -7435,7 +9273,11 @@ export class MediaCard extends LitElement {
     if (showMediaIndexButtons && config.enable_burst_review === true) count++;
     if (showMediaIndexButtons && config.enable_related_photos === true) count++;
     if (showMediaIndexButtons && config.enable_on_this_day === true) count++;
+    if (showMediaIndexButtons && config.enable_people_photos === true && MediaCard._extractPeople(this._currentMetadata).length > 0) count++;
+    if (showMediaIndexButtons && config.enable_nearby === true && MediaCard._getCoordinates(this._currentMetadata)) count++;
     if (config.enable_queue_preview === true && this.navigationQueue && this.navigationQueue.length >= 1) count++;
+    if (config.enable_map === true && this.config.map?.tile_url) count++;
+    if (config.enable_restart === true) count++;
     if (this.config.debug_button === true) count++;
     
     return count;
@@ -7583,52 +9425,1140 @@ export class MediaCard extends LitElement {
     }, 2000);
   }
 
-  // NEW: Auto-enable kiosk mode monitoring
-  async _setupKioskModeMonitoring() {
-    if (!this._isKioskModeConfigured()) return;
-    
-    const entity = this.config.kiosk_mode_entity.trim();
-    
-    // Check if entity is off and auto-enable it
-    if (this.hass?.states?.[entity]?.state === 'off') {
-      try {
-        await this.hass.callService('input_boolean', 'turn_on', {
-          entity_id: entity
-        });
-        this._log('🖼️ Auto-enabled kiosk mode entity:', entity);
-      } catch (error) {
-        console.warn('Failed to auto-enable kiosk mode entity:', entity, error);
+  // NEW: Auto-enable kiosk mode monitoring
+  async _setupKioskModeMonitoring() {
+    if (!this._isKioskModeConfigured()) return;
+    
+    const entity = this.config.kiosk_mode_entity.trim();
+    
+    // Check if entity is off and auto-enable it
+    if (this.hass?.states?.[entity]?.state === 'off') {
+      try {
+        await this.hass.callService('input_boolean', 'turn_on', {
+          entity_id: entity
+        });
+        this._log('🖼️ Auto-enabled kiosk mode entity:', entity);
+      } catch (error) {
+        console.warn('Failed to auto-enable kiosk mode entity:', entity, error);
+      }
+    }
+    
+    // Set up state monitoring to track entity changes
+    // This allows the card to react when kiosk mode is manually toggled
+    this._log('🖼️ Setting up kiosk mode state listener for entity:', entity);
+    this._kioskStateSubscription = this.hass.connection.subscribeEvents(
+      (event) => {
+        if (event.data.entity_id === entity) {
+          const newState = event.data.new_state.state;
+          this._log('🖼️ Kiosk mode entity state changed:', newState);
+          // V5.6: Invalidate header cache - kiosk mode changes header visibility
+          this._cachedHeaderElement = null;
+          this._cachedHeaderSelector = null;
+          // Delay viewport height recalculation to allow header transition to complete
+          setTimeout(() => {
+            this._log('🖼️ Triggering viewport height recalculation after kiosk toggle to:', newState);
+            this._updateAvailableHeight();
+          }, 300);
+          this.requestUpdate(); // Re-render to show/hide kiosk indicator
+        }
+      },
+      'state_changed'
+    );
+    this._log('🖼️ Kiosk mode state listener subscribed');
+  }
+
+  _cleanupKioskModeMonitoring() {
+    if (this._kioskStateSubscription && typeof this._kioskStateSubscription === 'function') {
+      this._kioskStateSubscription();
+      this._kioskStateSubscription = null;
+    }
+  }
+
+  // V5.9: Fire an event on the Home Assistant event bus (same approach as media_card_queue_stats)
+  // fire_event requires admin permissions - skipped for dashboard-only users
+  _fireHassEvent(eventType, eventData) {
+    if (this.hass?.user?.is_admin === false) return;
+    if (!this.hass?.connection?.sendMessage) return;
+
+    try {
+      const promise = this.hass.connection.sendMessage({
+        type: 'fire_event',
+        event_type: eventType,
+        event_data: eventData
+      });
+      if (promise && typeof promise.catch === 'function') {
+        promise.catch(err => this._log(`⚠️ ${eventType} fire_event failed (may require admin):`, err?.message || err));
+      }
+    } catch (error) {
+      this._log(`⚠️ ${eventType} fire_event failed:`, error?.message || error);
+    }
+  }
+
+  // V5.9: Identifies this card in events - card_id from config, otherwise the per-instance id
+  _getCardId() {
+    return this.config?.card_id || this._cardId;
+  }
+
+  // V5.9: Playback state events for automations (media_card_now_showing, _paused, _resumed, _error)
+  _dispatchCardEvent(eventType, data = {}) {
+    this._fireHassEvent(eventType, {
+      card_id: this._getCardId(),
+      ...data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  _dispatchNowShowing() {
+    const mediaId = this.currentMedia?.media_content_id;
+    if (!mediaId) return;
+
+    // V5.9: Count interrupt items (interrupts with count: end after that many)
+    if (this._activeInterrupt) {
+      this._activeInterrupt.shown++;
+    }
+
+    const isVideo = this._isVideoFile(this.mediaUrl) || this.currentMedia.media_content_type?.startsWith('video');
+    const inQueue = this.navigationIndex >= 0 && this.navigationQueue[this.navigationIndex]?.media_content_id === mediaId;
+    this._dispatchCardEvent('media_card_now_showing', {
+      media_content_id: mediaId,
+      path: this._currentMediaPath || mediaId,
+      filename: this._currentMetadata?.filename || mediaId.split('/').pop(),
+      media_type: isVideo ? 'video' : 'image',
+      metadata: this._currentMetadata || {},
+      position: inQueue ? this.navigationIndex + 1 : null,
+      total: this.navigationQueue.length,
+      paused: !!this._isPaused
+    });
+  }
+
+  // V5.9: Sync groups (sync_group) - the leader publishes what it shows, followers display the same
+  // item. Transport is the media_card_sync event, or an input_text entity for non-admin users.
+  _getSyncGroupConfig() {
+    const syncGroup = this.config?.sync_group;
+    if (!syncGroup) return null;
+    if (typeof syncGroup === 'string') {
+      return { name: syncGroup, role: 'follower', entity: null };
+    }
+    if (!syncGroup.name) return null;
+    return {
+      name: String(syncGroup.name),
+      role: syncGroup.role === 'leader' ? 'leader' : 'follower',
+      entity: syncGroup.entity || null
+    };
+  }
+
+  _isSyncLeader() {
+    return this._getSyncGroupConfig()?.role === 'leader';
+  }
+
+  // Followers leave advancing to the leader unless the leader has gone quiet
+  _isSyncFollower() {
+    const syncGroup = this._getSyncGroupConfig();
+    return !!syncGroup && syncGroup.role === 'follower' && !this._syncLeaderLost;
+  }
+
+  async _setupSyncGroup() {
+    const syncGroup = this._getSyncGroupConfig();
+    if (!syncGroup || this._syncSetupDone || !this.hass) return;
+    this._syncSetupDone = true;
+
+    this._log(`🔗 Joining sync group "${syncGroup.name}" as ${syncGroup.role}${syncGroup.entity ? ` via ${syncGroup.entity}` : ''}`);
+
+    if (syncGroup.entity) {
+      // input_text transport - changes arrive through the hass setter
+      this._syncLastEntityValue = this.hass.states[syncGroup.entity]?.state ?? null;
+      if (syncGroup.role === 'follower') {
+        // Show what the group is on right now
+        this._handleSyncEntityValue(this._syncLastEntityValue, { catchUp: true });
+      }
+    } else {
+      if (this.hass.user?.is_admin === false) {
+        console.warn(`[MediaCard] sync_group "${syncGroup.name}" uses Home Assistant events, which require an admin user. Set sync_group.entity to an input_text entity instead.`);
+        return;
+      }
+      try {
+        this._syncUnsubscribe = await this.hass.connection.subscribeEvents(
+          (event) => this._handleSyncMessage(event.data),
+          'media_card_sync'
+        );
+      } catch (error) {
+        console.warn('[MediaCard] Failed to subscribe to media_card_sync events:', error);
+        return;
+      }
+      if (syncGroup.role === 'follower') {
+        // Ask the leader to republish its current item
+        this._sendSyncMessage('sync_request');
+      }
+    }
+
+    if (syncGroup.role === 'follower') {
+      this._restartSyncWatchdog();
+    }
+  }
+
+  _cleanupSyncGroup() {
+    if (typeof this._syncUnsubscribe === 'function') {
+      this._syncUnsubscribe();
+    }
+    this._syncUnsubscribe = null;
+    this._syncSetupDone = false;
+    if (this._syncWatchdog) {
+      clearTimeout(this._syncWatchdog);
+      this._syncWatchdog = null;
+    }
+  }
+
+  // action: show | next | previous | pause | resume | sync_request
+  _sendSyncMessage(action, extra = {}) {
+    const syncGroup = this._getSyncGroupConfig();
+    if (!syncGroup || !this.hass) return;
+
+    const message = {
+      group: syncGroup.name,
+      sender: this._cardId,
+      action,
+      ...extra,
+      ts: Date.now()
+    };
+    this._log('🔗 Sync send:', message);
+
+    if (syncGroup.entity) {
+      const value = JSON.stringify(message);
+      this._syncLastEntityValue = value;
+      this.hass.callService('input_text', 'set_value', {
+        entity_id: syncGroup.entity,
+        value
+      }).catch(err => console.warn('[MediaCard] Failed to write sync entity (check its max length):', syncGroup.entity, err?.message || err));
+      return;
+    }
+
+    this._fireHassEvent('media_card_sync', message);
+  }
+
+  // Called from the hass setter for the input_text transport
+  _checkSyncEntity(hass) {
+    const entity = this._getSyncGroupConfig()?.entity;
+    if (!entity || !this._syncSetupDone) return;
+    const value = hass.states[entity]?.state ?? null;
+    if (value === this._syncLastEntityValue) return;
+    this._syncLastEntityValue = value;
+    this._handleSyncEntityValue(value);
+  }
+
+  _handleSyncEntityValue(value, { catchUp = false } = {}) {
+    if (!value || value === 'unknown' || value === 'unavailable') return;
+    let message;
+    try {
+      message = JSON.parse(value);
+    } catch (error) {
+      this._log('⚠️ Ignoring sync entity value that is not JSON:', value);
+      return;
+    }
+    // On startup only the last published item matters, not an old command
+    if (catchUp && message?.action !== 'show') return;
+    this._handleSyncMessage(message);
+  }
+
+  async _handleSyncMessage(message) {
+    const syncGroup = this._getSyncGroupConfig();
+    if (!syncGroup || !message || message.group !== syncGroup.name || message.sender === this._cardId) {
+      return;
+    }
+    this._log('🔗 Sync receive:', message);
+
+    if (syncGroup.role === 'leader') {
+      switch (message.action) {
+        case 'next':
+          this._isManualNavigation = true;
+          await this._loadNext();
+          break;
+        case 'previous':
+          this._isManualNavigation = true;
+          await this._loadPrevious();
+          break;
+        case 'sync_request':
+          this._publishSyncState();
+          break;
+        case 'pause':
+        case 'resume':
+          this._applyPauseState(message.action === 'pause');
+          break;
+      }
+      return;
+    }
+
+    // Follower - any message from the leader proves it is alive
+    if (message.action === 'show') {
+      this._syncLeaderLost = false;
+      this._syncLeaderInterval = message.interval || 0;
+      this._restartSyncWatchdog();
+      if (typeof message.paused === 'boolean' && message.paused !== this._isPaused) {
+        this._applyPauseState(message.paused);
+      }
+      await this._showMediaById(message.media_content_id, message.media_content_type);
+    } else if (message.action === 'pause' || message.action === 'resume') {
+      this._applyPauseState(message.action === 'pause');
+    }
+  }
+
+  // Leader: publish the current item and advance timing for the group
+  _publishSyncState() {
+    if (!this._isSyncLeader() || !this.currentMedia?.media_content_id) return;
+    this._sendSyncMessage('show', {
+      media_content_id: this.currentMedia.media_content_id,
+      media_content_type: this.currentMedia.media_content_type,
+      interval: this.config.auto_advance_seconds || 0,
+      paused: !!this._isPaused
+    });
+  }
+
+  // V5.9: Display a specific item (sync followers, jump command), adding it to the navigation
+  // queue right after the current position if this card hasn't got it
+  async _showMediaById(mediaId, mediaType = null) {
+    if (!mediaId || this.currentMedia?.media_content_id === mediaId) return;
+
+    let index = this.navigationQueue.findIndex(q => q.media_content_id === mediaId);
+    if (index === -1) {
+      const item = {
+        media_content_id: mediaId,
+        media_content_type: mediaType || MediaUtils.detectFileType(mediaId) || 'image',
+        title: mediaId.split('/').pop()
+      };
+      item.metadata = await this._extractMetadataFromItem(item);
+      index = Math.max(0, this.navigationIndex + 1);
+      this.navigationQueue.splice(index, 0, item);
+    }
+
+    const item = this.navigationQueue[index];
+    if (!this.history.some(h => h.media_content_id === item.media_content_id)) {
+      this.history.push(item);
+    }
+    await this._jumpToQueuePosition(index);
+  }
+
+  // V5.9: Pause/resume slideshow and timer (sync group and remote commands)
+  _applyPauseState(isPaused) {
+    if (this._isPaused === isPaused) return;
+    this._setPauseState(isPaused);
+    if (isPaused) {
+      this._pauseTimer();
+    } else {
+      this._resumeTimer();
+    }
+  }
+
+  // User pressed pause/resume here - tell the rest of the group
+  _broadcastSyncPause() {
+    if (!this._getSyncGroupConfig()) return;
+    this._sendSyncMessage(this._isPaused ? 'pause' : 'resume');
+  }
+
+  // Follower falls back to its own timer when the leader stops publishing
+  _restartSyncWatchdog() {
+    if (this._syncWatchdog) {
+      clearTimeout(this._syncWatchdog);
+    }
+    const interval = this._syncLeaderInterval || this.config.auto_advance_seconds || 0;
+    if (interval <= 0) return;
+
+    this._syncWatchdog = setTimeout(() => {
+      this._syncWatchdog = null;
+      console.warn(`[MediaCard] No update from sync group leader for ${interval * 3}s - advancing on this card's own timer`);
+      this._syncLeaderLost = true;
+      this._setupAutoRefresh();
+    }, interval * 3000);
+  }
+
+  // V5.9: Live camera views (live_camera:) - interleaved between items or switched to by a sensor
+  _getLiveCameraConfig() {
+    const config = this.config?.live_camera;
+    if (!config || config.enabled === false) return null;
+
+    const entities = [].concat(config.entities || config.entity || [])
+      .filter(entityId => typeof entityId === 'string' && entityId.startsWith('camera.'));
+    const duration = Number(config.duration) > 0 ? Number(config.duration) : 15;
+    const triggers = (Array.isArray(config.triggers) ? config.triggers : [])
+      .filter(trigger => trigger?.entity && (trigger.camera || entities[0]))
+      .map(trigger => ({
+        entity: trigger.entity,
+        camera: trigger.camera || entities[0],
+        duration: Number(trigger.duration) > 0 ? Number(trigger.duration) : duration
+      }));
+
+    return { entities, every: Number(config.every) || 0, duration, triggers };
+  }
+
+  _getCameraUrl(entityId, stream) {
+    const state = this.hass?.states?.[entityId];
+    const token = state?.attributes?.access_token;
+    if (!token || state.state === 'unavailable') return null;
+    return `/api/${stream ? 'camera_proxy_stream' : 'camera_proxy'}/${entityId}?token=${token}`;
+  }
+
+  _createCameraItem(entityId, duration) {
+    const name = this.hass?.states?.[entityId]?.attributes?.friendly_name || entityId;
+    return {
+      // Unique per showing so the queue and history keep every live view
+      media_content_id: `camera://${entityId}?shown=${Date.now()}`,
+      media_content_type: 'camera',
+      title: name,
+      metadata: {
+        filename: name,
+        camera_entity: entityId,
+        camera_duration: duration
+      }
+    };
+  }
+
+  _nextInterleavedCamera() {
+    const camera = this._getLiveCameraConfig();
+    if (!camera || camera.every <= 0 || camera.entities.length === 0) return null;
+
+    this._itemsSinceCamera++;
+    if (this._itemsSinceCamera <= camera.every) return null;
+    this._itemsSinceCamera = 0;
+
+    const entityId = camera.entities[this._cameraRotation++ % camera.entities.length];
+    if (!this._getCameraUrl(entityId, true)) {
+      this._log('📹 Camera unavailable - skipping live view:', entityId);
+      return null;
+    }
+    this._log('📹 Interleaving live view:', entityId);
+    return this._createCameraItem(entityId, camera.duration);
+  }
+
+  _checkCameraTriggers(hass) {
+    const camera = this._getLiveCameraConfig();
+    if (!camera) return;
+
+    for (const trigger of camera.triggers) {
+      const state = hass.states[trigger.entity]?.state;
+      const previous = this._cameraTriggerStates.get(trigger.entity);
+      this._cameraTriggerStates.set(trigger.entity, state);
+
+      // First look at the sensor - a sensor that is already on doesn't trigger
+      if (previous !== undefined && previous !== 'on' && state === 'on') {
+        this._log(`📹 ${trigger.entity} turned on - showing ${trigger.camera}`);
+        this._showLiveCamera(trigger.camera, trigger.duration);
+      }
+    }
+  }
+
+  /**
+   * Show a camera right away, then continue the slideshow with the item that was up next.
+   * The live view is inserted after the current item so it stays in the queue for Back.
+   */
+  async _showLiveCamera(entityId, duration) {
+    if (!this.provider || this._isSyncFollower()) return;
+    if (!this._getCameraUrl(entityId, true)) {
+      console.warn('[MediaCard] Camera unavailable - not switching to live view:', entityId);
+      return;
+    }
+
+    if (this._panelOpen) {
+      await this._exitPanelMode();
+    }
+
+    let item = this.currentMedia;
+    if (this._isCameraItem(item) && item.metadata.camera_entity === entityId) {
+      // Already showing this camera - keep it up for the full duration again
+      item.metadata.camera_duration = duration;
+      this._setupAutoRefresh();
+    } else {
+      item = this._createCameraItem(entityId, duration);
+      const insertAt = Math.min(this.navigationQueue.length, Math.max(0, this.navigationIndex + (this._pairedItem ? 2 : 1)));
+      this.navigationQueue.splice(insertAt, 0, item);
+      this.history.push(item);
+      await this._jumpToQueuePosition(insertAt);
+    }
+
+    if (this._cameraReturnTimer) {
+      clearTimeout(this._cameraReturnTimer);
+    }
+    this._cameraReturnTimer = setTimeout(() => {
+      this._cameraReturnTimer = null;
+      // User moved on or paused on the live view - leave it to them
+      if (this.currentMedia !== item || this._isPaused) return;
+      this._log('📹 Live view finished - back to the slideshow');
+      this._loadNext();
+    }, duration * 1000);
+  }
+
+  // V5.9: Background music (soundtrack:) - local <audio> element or a media_player entity
+  async _setupSoundtrack() {
+    if (this._soundtrackSetupDone) return;
+    this._soundtrackSetupDone = true;
+
+    const config = this.config.soundtrack;
+    if (config.enabled === false) return;
+
+    const soundtrack = new SoundtrackPlayer(config, this);
+    soundtrack.setPaused(!!this._isPaused);
+    if (config.advance_on_track_change) {
+      soundtrack.onTrackChange = () => {
+        if (this._isPaused || this._isSyncFollower()) return;
+        this._log('🎵 Soundtrack track changed - advancing');
+        this._loadNext().catch(err => {
+          console.error('Error advancing on soundtrack track change:', err);
+        });
+      };
+    }
+    this._soundtrack = soundtrack;
+
+    const started = await soundtrack.start();
+    // Cleaned up while loading tracks
+    if (this._soundtrack !== soundtrack) {
+      soundtrack.dispose();
+      return;
+    }
+    if (started) {
+      this._updateSoundtrackDucking();
+    }
+  }
+
+  _cleanupSoundtrack() {
+    if (this._soundtrack) {
+      this._soundtrack.dispose();
+      this._soundtrack = null;
+    }
+    this._soundtrackSetupDone = false;
+  }
+
+  // Duck (or pause) the music while a video is playing with sound
+  _updateSoundtrackDucking() {
+    if (!this._soundtrack) return;
+    const video = this.renderRoot?.querySelector('video');
+    const isVideo = this._isVideoFile(this.currentMedia?.media_content_id || '');
+    const audible = !!(isVideo && video && !video.paused && !video.ended && !video.muted && video.volume > 0);
+    this._soundtrack.setDucked(audible);
+  }
+
+  // V5.9: Remote control via the media_card_command event. Events with a card_id only reach the card
+  // configured with that card_id; events without one (or card_id: all) reach every card.
+  async _setupRemoteCommands() {
+    if (this._commandSetupDone || !this.hass?.connection) return;
+    this._commandSetupDone = true;
+
+    // subscribe_events for custom events requires admin permissions
+    if (this.hass.user?.is_admin === false) {
+      this._log('⏭️ Skipping media_card_command subscription (non-admin user)');
+      return;
+    }
+
+    try {
+      this._commandUnsubscribe = await this.hass.connection.subscribeEvents(
+        (event) => this._handleRemoteCommand(event.data),
+        'media_card_command'
+      );
+      this._log(`📡 Listening for media_card_command (card_id: ${this._getCardId()})`);
+    } catch (error) {
+      console.warn('[MediaCard] Failed to subscribe to media_card_command events:', error);
+    }
+  }
+
+  _cleanupRemoteCommands() {
+    if (typeof this._commandUnsubscribe === 'function') {
+      this._commandUnsubscribe();
+    }
+    this._commandUnsubscribe = null;
+    this._commandSetupDone = false;
+  }
+
+  async _handleRemoteCommand(data) {
+    if (!data?.command) return;
+    const target = data.card_id;
+    if (target && target !== 'all' && target !== this._getCardId()) return;
+
+    const command = String(data.command).toLowerCase();
+    this._log('📡 Remote command:', command, data);
+
+    switch (command) {
+      case 'next':
+        this._isManualNavigation = true;
+        await this._loadNext();
+        break;
+      case 'previous':
+        this._isManualNavigation = true;
+        await this._loadPrevious();
+        break;
+      case 'pause':
+      case 'resume':
+      case 'toggle_pause': {
+        const pause = command === 'toggle_pause' ? !this._isPaused : command === 'pause';
+        this._applyPauseState(pause);
+        this._broadcastSyncPause();
+        break;
+      }
+      case 'jump':
+        if (data.position !== undefined && data.position !== null) {
+          const position = parseInt(data.position, 10);
+          if (Number.isNaN(position)) {
+            console.warn(`[MediaCard] media_card_command "jump" needs a numeric position, got "${data.position}"`);
+            break;
+          }
+          await this._jumpToQueuePosition(position - 1);
+        } else if (data.path) {
+          await this._showMediaById(data.path);
+        } else {
+          console.warn('[MediaCard] media_card_command "jump" needs a path or position');
+        }
+        break;
+      case 'folder':
+        await this._switchFolder(data.path || data.folder);
+        break;
+      case 'on_this_day':
+        await this._enterOnThisDayMode();
+        break;
+      case 'exit_panel':
+        if (this._panelOpen) {
+          await this._exitPanelMode();
+        }
+        break;
+      case 'restart':
+        await this._restartFromBeginning();
+        break;
+      default:
+        console.warn(`[MediaCard] Unknown media_card_command "${data.command}". Available: next, previous, pause, resume, toggle_pause, jump, folder, on_this_day, exit_panel, restart`);
+    }
+  }
+
+  // V5.9: Point a folder card at a different folder and start over (media_card_command "folder")
+  async _switchFolder(path) {
+    if (!path) {
+      console.warn('[MediaCard] media_card_command "folder" needs a path');
+      return;
+    }
+    if (this.config.media_source_type !== 'folder') {
+      console.warn('[MediaCard] Switching folders only works with media_source_type: folder');
+      return;
+    }
+
+    this._log('📂 Switching folder to:', path);
+    if (this._panelOpen) {
+      await this._exitPanelMode();
+    }
+    if (this.provider?.dispose) {
+      this.provider.dispose();
+    }
+
+    this.config = {
+      ...this.config,
+      folder: { ...this.config.folder, path }
+    };
+
+    // Items from the old folder don't belong in the new slideshow
+    this._clearNavigationState();
+    this.provider = null;
+    this.isLoading = true;
+
+    await this._initializeProvider();
+  }
+
+  // V5.9: Forget everything shown so far (before starting a different source)
+  _clearNavigationState() {
+    this.history = [];
+    this.historyPosition = -1;
+    this.shownItems = new Set();
+    this.currentMedia = null;
+    this.navigationQueue = [];
+    this.navigationIndex = -1;
+    this.isNavigationQueuePreloaded = false;
+    this._pendingNavigationIndex = null;
+    this._pairedItem = null;
+    this._pendingPairedItem = null;
+    this._collagePrimed = false;
+    this._restoredProviderState = null;
+  }
+
+  // V5.9: Resume checkpoints and the persist_state cursor follow what is on screen -
+  // prefetched queue items don't count until shown
+  _checkpointShownItem() {
+    if (typeof this.provider?.checkpointAfter !== 'function') return;
+    if (this._panelOpen && this._panelMode !== 'queue') return;
+
+    // The right-hand portrait of a pair is the last one shown
+    const item = this.navigationQueue[this._pairedItem?.index ?? this.navigationIndex];
+    if (!item || this._isCameraItem(item)) return;
+    this.provider.checkpointAfter(item);
+  }
+
+  // V5.9: persist_state: true, or { enabled, retention_hours, max_items }
+  _getPersistStateConfig() {
+    const persist = this.config?.persist_state;
+    if (!persist || persist.enabled === false) return null;
+    return {
+      retentionMs: (Number(persist.retention_hours) || 24) * 60 * 60 * 1000,
+      maxItems: Number(persist.max_items) || 500
+    };
+  }
+
+  // V5.9: Single media shows one fixed item - nothing to resume
+  _canPersistState() {
+    // Interrupts are temporary - the slideshow underneath keeps its saved state
+    return !!this._getPersistStateConfig() &&
+      !this._activeInterrupt &&
+      !!this.provider &&
+      !(this.provider instanceof SingleMediaProvider);
+  }
+
+  // V5.9: Saved state is keyed by card_id and the source config, so each schedule keeps its own
+  _getPersistStateKey() {
+    return StateStore.buildKey(this.config.card_id, this.config);
+  }
+
+  /**
+   * V5.9: Restore navigation queue, history and provider state saved by a previous page load
+   * Skipped when the card already has state (reconnected, or restored for a schedule)
+   */
+  _restorePersistedState() {
+    if (!this._canPersistState()) return;
+    
+    const persist = this._getPersistStateConfig();
+    StateStore.prune(persist.retentionMs);
+    if (this.history.length > 0 || this.navigationQueue.length > 0) return;
+    
+    const saved = StateStore.load(this._getPersistStateKey(), persist.retentionMs);
+    if (!saved) return;
+    
+    // Path-based dates were Date objects before JSON - the metadata overlay calls getTime()
+    const revive = (item) => {
+      if (typeof item?.metadata?.date === 'string') {
+        item.metadata.date = new Date(item.metadata.date);
+      }
+      return item;
+    };
+    
+    this.history = (saved.history || []).map(revive);
+    this.navigationQueue = (saved.navigationQueue || []).map(revive);
+    this.navigationIndex = Math.min(saved.navigationIndex ?? -1, this.navigationQueue.length - 1);
+    if (saved.provider) {
+      this.provider.deserialize(saved.provider);
+    }
+    this._log(`💾 Restored saved state: ${this.navigationQueue.length} queued, ${this.history.length} shown, position ${this.navigationIndex + 1}`);
+  }
+
+  // V5.9: Save at most every few seconds - navigation can be much faster than that
+  _schedulePersistState() {
+    if (this._persistTimer || !this._canPersistState()) return;
+    this._persistTimer = setTimeout(() => this._persistState(), 3000);
+  }
+
+  _persistState() {
+    this._persistTimer = null;
+    if (!this._canPersistState()) return;
+    
+    // Burst / related / On This Day panels swap the navigation queue - save the main slideshow
+    const inPanel = this._panelOpen && this._panelMode !== 'queue';
+    const queue = inPanel ? this._mainQueue : this.navigationQueue;
+    const index = inPanel ? this._mainQueueIndex : this.navigationIndex;
+    if (!queue?.length || index < 0) return;
+    
+    // Stop at the last item shown - the provider cursor is saved there, so items prefetched
+    // for pairing or the collage are fetched again after a reload instead of being skipped.
+    // A pre-loaded collection is not refetched, so it is saved whole.
+    const lastShown = !inPanel && this._pairedItem ? this._pairedItem.index : index;
+    const end = this.isNavigationQueuePreloaded ? queue.length : lastShown + 1;
+    
+    // Keep the newest max_items (but never drop the current item)
+    const { maxItems } = this._getPersistStateConfig();
+    const start = Math.min(Math.max(0, end - maxItems), index);
+    const slim = (item) => ({
+      media_content_id: item.media_content_id,
+      media_content_type: item.media_content_type,
+      title: item.title,
+      path: item.path,
+      media_source_uri: item.media_source_uri,
+      filename: item.filename,
+      sequence_cursor: item.sequence_cursor,
+      metadata: item.metadata
+    });
+    
+    const saved = StateStore.save(this._getPersistStateKey(), {
+      navigationQueue: queue.slice(start, end).map(slim),
+      navigationIndex: index - start,
+      history: this.history.slice(-maxItems).map(slim),
+      provider: this.provider.serialize()
+    });
+    if (saved) {
+      this._log(`💾 Saved state: position ${index - start + 1} of ${end - start}`);
+    }
+  }
+
+  // V5.9: Schedules - switch folder/filters by time of day, weekday, date range or template
+  _setupSchedules() {
+    if (this._scheduleSetupDone || !Array.isArray(this.config?.schedules)) return;
+    this._scheduleSetupDone = true;
+
+    if (!this._scheduleBaseConfig) {
+      this._scheduleBaseConfig = this.config;
+    }
+
+    this._checkSchedules();
+    this._scheduleTimer = setInterval(() => this._checkSchedules(), 60000);
+    this._subscribeScheduleConditions();
+  }
+
+  async _subscribeScheduleConditions() {
+    const schedules = this._scheduleBaseConfig?.schedules || [];
+
+    // render_template subscriptions require admin permissions
+    if (this.hass.user?.is_admin === false) {
+      this._log('⏭️ Skipping schedule condition subscriptions (non-admin user)');
+      return;
+    }
+
+    for (const [index, schedule] of schedules.entries()) {
+      if (!schedule?.condition) continue;
+
+      try {
+        const unsubscribe = await this.hass.connection.subscribeMessage(
+          (message) => {
+            const result = message?.result !== undefined ? message.result : message;
+            const passes = result === true || String(result).trim().toLowerCase() === 'true';
+            this._scheduleConditionResults.set(index, passes);
+            this._checkSchedules();
+          },
+          {
+            type: 'render_template',
+            template: schedule.condition
+          }
+        );
+
+        // Cleaned up while subscribing
+        if (!this._scheduleSetupDone) {
+          unsubscribe();
+          return;
+        }
+        this._scheduleUnsubscribes.push(unsubscribe);
+      } catch (error) {
+        console.warn('[MediaCard] Failed to subscribe to schedule condition:', schedule.condition, error);
+      }
+    }
+  }
+
+  _cleanupSchedules() {
+    if (this._scheduleTimer) {
+      clearInterval(this._scheduleTimer);
+      this._scheduleTimer = null;
+    }
+    for (const unsubscribe of this._scheduleUnsubscribes) {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    }
+    this._scheduleUnsubscribes = [];
+    this._scheduleSetupDone = false;
+  }
+
+  _checkSchedules() {
+    // Interrupt playing - the schedule is checked again when it ends
+    if (this._activeInterrupt) return;
+
+    const schedules = this._scheduleBaseConfig?.schedules || [];
+    const now = new Date();
+
+    // First matching schedule wins; none matching means the card's own config
+    const index = schedules.findIndex((schedule, i) => this._scheduleMatches(schedule, i, now));
+    this._applySchedule(index >= 0 ? schedules[index] : null, index);
+  }
+
+  _scheduleMatches(schedule, index, now) {
+    if (!schedule || typeof schedule !== 'object') return false;
+
+    if (schedule.weekdays) {
+      const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      const days = [].concat(schedule.weekdays).map(day => String(day).toLowerCase().slice(0, 3));
+      if (!days.includes(dayNames[now.getDay()])) return false;
+    }
+
+    if (schedule.time_range) {
+      const toMinutes = (value) => {
+        const [hours, minutes] = String(value).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+      };
+      const current = now.getHours() * 60 + now.getMinutes();
+      const start = toMinutes(schedule.time_range.start ?? '00:00');
+      const end = toMinutes(schedule.time_range.end ?? '24:00');
+      // A window like 21:00 - 06:00 runs past midnight
+      const inRange = start <= end
+        ? current >= start && current < end
+        : current >= start || current < end;
+      if (!inRange) return false;
+    }
+
+    if (schedule.date_range) {
+      const pad = (value) => String(value).padStart(2, '0');
+      const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+      const start = schedule.date_range.start ? String(schedule.date_range.start) : null;
+      const end = schedule.date_range.end ? String(schedule.date_range.end) : null;
+      // MM-DD dates repeat every year (12-20 - 01-06 spans New Year); YYYY-MM-DD dates don't
+      const yearly = (start || end || '').length === 5;
+      const current = yearly ? today.slice(5) : today;
+      const inRange = yearly && start && end && start > end
+        ? current >= start || current <= end
+        : (!start || current >= start) && (!end || current <= end);
+      if (!inRange) return false;
+    }
+
+    if (schedule.condition && this._scheduleConditionResults.get(index) !== true) {
+      return false;
+    }
+
+    return true;
+  }
+
+  _applySchedule(schedule, index) {
+    const key = schedule ? (schedule.name || `schedule ${index + 1}`) : 'default';
+    if (key === this._activeScheduleKey) return;
+
+    const previousKey = this._activeScheduleKey;
+    this._activeScheduleKey = key;
+    this._log(`🗓️ Schedule changed: ${previousKey || '(start)'} → ${key}`);
+
+    // Only the source settings change - everything else stays as configured
+    this.config = schedule
+      ? this._applySourceOverrides(this._scheduleBaseConfig, schedule)
+      : { ...this._scheduleBaseConfig };
+
+    // Provider not started yet - it will start with this config
+    if (!this.provider) return;
+
+    this._restartProviderForSchedule(previousKey, key);
+  }
+
+  /**
+   * V5.9: Card config with a schedule's or interrupt's source settings (folder, filters, ...)
+   */
+  _applySourceOverrides(base, overrides) {
+    const config = { ...base };
+    for (const field of ['media_source_type', 'folder', 'filters', 'playlist', 'sources', 'single_media', 'media_index']) {
+      if (overrides[field] !== undefined) {
+        config[field] = overrides[field];
+      }
+    }
+    // Picking its own folder or playlist replaces a card-level sources: mix
+    if ((overrides.folder || overrides.playlist) && !overrides.sources) {
+      delete config.sources;
+      if (!overrides.media_source_type) {
+        config.media_source_type = overrides.playlist ? 'playlist' : 'folder';
+      }
+    }
+    return config;
+  }
+
+  // Call before disposing the provider - its serialized state (e.g. sequential cursor) is kept too
+  _saveNavigationState() {
+    return {
+      history: this.history,
+      shownItems: this.shownItems,
+      navigationQueue: this.navigationQueue,
+      navigationIndex: this.navigationIndex,
+      isNavigationQueuePreloaded: this.isNavigationQueuePreloaded,
+      provider: this.provider?.serialize() || null
+    };
+  }
+
+  _restoreNavigationState(saved) {
+    this.history = saved.history;
+    this.shownItems = saved.shownItems;
+    this.navigationQueue = saved.navigationQueue;
+    this.navigationIndex = saved.navigationIndex;
+    this.isNavigationQueuePreloaded = saved.isNavigationQueuePreloaded;
+    this._restoredProviderState = saved.provider; // Applied by _initializeProvider
+  }
+
+  async _restartProviderForSchedule(previousKey, key) {
+    if (this._panelOpen) {
+      await this._exitPanelMode();
+    }
+
+    // Keep each schedule's navigation history so returning to it continues where it left off
+    if (previousKey) {
+      this._scheduleStates.set(previousKey, this._saveNavigationState());
+    }
+    if (this.provider?.dispose) {
+      this.provider.dispose();
+    }
+
+    this._clearNavigationState();
+    const saved = this._scheduleStates.get(key);
+    if (saved) {
+      this._restoreNavigationState(saved);
+      this._log(`🗓️ Restored ${this.navigationQueue.length} queued items for schedule ${key}`);
+    }
+
+    this.provider = null;
+    this.isLoading = true;
+    await this._initializeProvider();
+  }
+
+  // V5.9: Interrupts - an entity state change plays another folder/filter set for a while,
+  // then the slideshow continues where it was. Watches state_changed like MediaIndexProvider's filter entities.
+  async _setupInterrupts() {
+    if (this._interruptSetupDone || !this.hass?.connection) return;
+    this._interruptSetupDone = true;
+
+    // Card was removed from the page during an interrupt - its end timer is gone, so end it now
+    if (this._activeInterrupt?.expired) {
+      this._endInterrupt().catch(error => console.warn('[MediaCard] Failed to end interrupt:', error));
+    }
+
+    const interrupts = this._getInterrupts();
+    if (interrupts.length === 0) return;
+
+    // subscribe_events for state_changed requires admin permissions - non-admin users
+    // compare states on each hass update instead, like live_camera.triggers
+    if (this.hass.user?.is_admin === false) {
+      this._log('📡 Watching interrupt entities through hass updates (non-admin user)');
+      this._interruptStates = new Map();
+      this._checkInterruptStates(this.hass);
+      return;
+    }
+
+    const entityIds = new Set(interrupts.map(interrupt => interrupt.entity));
+    try {
+      this._interruptUnsubscribe = await this.hass.connection.subscribeEvents(
+        (event) => {
+          const entityId = event.data?.entity_id;
+          if (!entityId || !entityIds.has(entityId)) return;
+          this._handleInterruptStateChange(entityId, event.data.old_state, event.data.new_state);
+        },
+        'state_changed'
+      );
+      this._log('📡 Watching interrupt entities:', [...entityIds]);
+    } catch (error) {
+      console.warn('[MediaCard] Failed to subscribe to interrupt entities:', error);
+    }
+  }
+
+  _checkInterruptStates(hass) {
+    for (const entityId of new Set(this._getInterrupts().map(interrupt => interrupt.entity))) {
+      const newState = hass.states[entityId];
+      const hadPrevious = this._interruptStates.has(entityId);
+      const oldState = this._interruptStates.get(entityId);
+      this._interruptStates.set(entityId, newState);
+
+      // First look at the entity only records it - same as the subscription, which only sees changes
+      if (hadPrevious && newState !== oldState) {
+        this._handleInterruptStateChange(entityId, oldState, newState);
+      }
+    }
+  }
+
+  _cleanupInterrupts() {
+    if (typeof this._interruptUnsubscribe === 'function') {
+      this._interruptUnsubscribe();
+    }
+    this._interruptUnsubscribe = null;
+    this._interruptStates = null;
+    this._interruptSetupDone = false;
+    if (this._activeInterrupt?.timer) {
+      clearTimeout(this._activeInterrupt.timer);
+      this._activeInterrupt.timer = null;
+      this._activeInterrupt.expired = true;
+    }
+  }
+
+  _getInterrupts() {
+    const interrupts = this._scheduleBaseConfig?.interrupts || this.config?.interrupts;
+    if (!Array.isArray(interrupts)) return [];
+    return interrupts
+      .map((interrupt, index) => ({ ...interrupt, key: interrupt?.name || `interrupt ${index + 1}` }))
+      .filter(interrupt => interrupt.entity && typeof interrupt.entity === 'string');
+  }
+
+  _handleInterruptStateChange(entityId, oldState, newState) {
+    // Attribute-only updates are not a state change
+    if (!newState || oldState?.state === newState.state) return;
+
+    for (const interrupt of this._getInterrupts()) {
+      if (interrupt.entity !== entityId) continue;
+      if (newState.state !== String(interrupt.to ?? 'on')) continue;
+      if (interrupt.from !== undefined && oldState?.state !== String(interrupt.from)) continue;
+
+      this._log(`⚡ ${entityId} → ${newState.state} - starting interrupt ${interrupt.key}`);
+      this._startInterrupt(interrupt);
+      return;
+    }
+  }
+
+  async _startInterrupt(interrupt) {
+    if (!this.provider || this._isSyncFollower()) return;
+
+    const active = this._activeInterrupt;
+    if (!active) {
+      if (this._panelOpen) {
+        await this._exitPanelMode();
       }
+      // Remember the slideshow as it is now - restored by _endInterrupt
+      this._activeInterrupt = {
+        savedConfig: this.config,
+        savedState: this._saveNavigationState()
+      };
+    } else if (active.timer) {
+      clearTimeout(active.timer);
+    }
+
+    const current = this._activeInterrupt;
+    const restart = !active || active.key !== interrupt.key;
+    current.key = interrupt.key;
+    current.interrupt = interrupt;
+    current.shown = 0;
+    current.count = Number(interrupt.count) > 0 ? Number(interrupt.count) : 0;
+    current.expired = false;
+
+    // Without count, an interrupt plays for duration (default one minute)
+    const duration = Number(interrupt.duration) > 0 ? Number(interrupt.duration) : (current.count ? 0 : 60);
+    current.timer = duration > 0
+      ? setTimeout(() => {
+        current.timer = null;
+        this._log(`⚡ Interrupt ${current.key} finished after ${duration}s`);
+        this._endInterrupt().catch(error => console.warn('[MediaCard] Failed to end interrupt:', error));
+      }, duration * 1000)
+      : null;
+
+    // Same interrupt again - keep playing it with a fresh duration/count
+    if (!restart) return;
+
+    if (this.provider?.dispose) {
+      this.provider.dispose();
     }
-    
-    // Set up state monitoring to track entity changes
-    // This allows the card to react when kiosk mode is manually toggled
-    this._log('🖼️ Setting up kiosk mode state listener for entity:', entity);
-    this._kioskStateSubscription = this.hass.connection.subscribeEvents(
-      (event) => {
-        if (event.data.entity_id === entity) {
-          const newState = event.data.new_state.state;
-          this._log('🖼️ Kiosk mode entity state changed:', newState);
-          // V5.6: Invalidate header cache - kiosk mode changes header visibility
-          this._cachedHeaderElement = null;
-          this._cachedHeaderSelector = null;
-          // Delay viewport height recalculation to allow header transition to complete
-          setTimeout(() => {
-            this._log('🖼️ Triggering viewport height recalculation after kiosk toggle to:', newState);
-            this._updateAvailableHeight();
-          }, 300);
-          this.requestUpdate(); // Re-render to show/hide kiosk indicator
-        }
-      },
-      'state_changed'
-    );
-    this._log('🖼️ Kiosk mode state listener subscribed');
+    this.config = this._applySourceOverrides(current.savedConfig, interrupt);
+    this._clearNavigationState();
+    this.provider = null;
+    this.isLoading = true;
+    await this._initializeProvider();
   }
 
-  _cleanupKioskModeMonitoring() {
-    if (this._kioskStateSubscription && typeof this._kioskStateSubscription === 'function') {
-      this._kioskStateSubscription();
-      this._kioskStateSubscription = null;
+  async _endInterrupt() {
+    const active = this._activeInterrupt;
+    if (!active) return;
+
+    if (active.timer) {
+      clearTimeout(active.timer);
+    }
+    this._activeInterrupt = null;
+    this._log(`⚡ Interrupt ${active.key} ended - back to the slideshow`);
+
+    if (this._panelOpen) {
+      await this._exitPanelMode();
+    }
+    if (this.provider?.dispose) {
+      this.provider.dispose();
+    }
+
+    this.config = active.savedConfig;
+    this._clearNavigationState();
+    this._restoreNavigationState(active.savedState);
+    // Provider start advances one step - land on the item the interrupt cut off
+    this.navigationIndex = Math.max(-1, this.navigationIndex - 1);
+    this.provider = null;
+    this.isLoading = true;
+    await this._initializeProvider();
+
+    // A schedule may have started or ended while the interrupt played
+    if (this._scheduleSetupDone) {
+      this._checkSchedules();
     }
   }
   
@@ -7822,7 +10752,8 @@ export class MediaCard extends LitElement {
   }
 
   // V5: Confirmation dialog with template support
-  async _showConfirmationDialog(messageTemplate) {
+  // V5.9: options - { confirmLabel, cancelLabel, hideCancel, details: [lines] }
+  async _showConfirmationDialog(messageTemplate, options = null) {
     return new Promise((resolve) => {
       // Process template to replace variables
       const message = this._processConfirmationTemplate(messageTemplate);
@@ -7830,6 +10761,7 @@ export class MediaCard extends LitElement {
       // Create dialog state
       this._confirmationDialogResolve = resolve;
       this._confirmationDialogMessage = message;
+      this._confirmationDialogOptions = options;
       
       // Trigger re-render to show dialog
       this.requestUpdate();
@@ -7915,11 +10847,28 @@ export class MediaCard extends LitElement {
     return processed;
   }
 
+  // V5.9: Same dialog without buttons while a long operation runs (bulk actions)
+  _showConfirmationProgress(message) {
+    this._confirmationDialogResolve = null;
+    this._confirmationDialogMessage = message;
+    this._confirmationDialogOptions = { progress: true };
+    this.requestUpdate();
+  }
+
+  _hideConfirmationProgress() {
+    if (this._confirmationDialogOptions?.progress) {
+      this._confirmationDialogMessage = null;
+      this._confirmationDialogOptions = null;
+      this.requestUpdate();
+    }
+  }
+
   _handleConfirmationConfirm() {
     if (this._confirmationDialogResolve) {
       this._confirmationDialogResolve(true);
       this._confirmationDialogResolve = null;
       this._confirmationDialogMessage = null;
+      this._confirmationDialogOptions = null;
       this.requestUpdate();
     }
   }
@@ -7929,6 +10878,7 @@ export class MediaCard extends LitElement {
       this._confirmationDialogResolve(false);
       this._confirmationDialogResolve = null;
       this._confirmationDialogMessage = null;
+      this._confirmationDialogOptions = null;
       this.requestUpdate();
     }
   }
@@ -8010,6 +10960,81 @@ export class MediaCard extends LitElement {
       z-index: 1;
     }
     
+    /* V5.9: Transition effects (transition.effect). Layer states:
+       .active = visible, .inactive.exiting = animating out, .inactive = waiting at entry position.
+       Effects append to --layer-transform so the layout centering transform is kept. */
+    .media-container .image-layer {
+      --layer-transform: translate(-50%, -50%);
+    }
+    
+    :host([data-transition-effect="slide-left"]) .image-layer,
+    :host([data-transition-effect="slide-right"]) .image-layer,
+    :host([data-transition-effect="push"]) .image-layer {
+      transition: transform var(--transition-duration, 300ms) ease-in-out;
+    }
+    
+    :host([data-transition-effect="slide-left"]) .image-layer.inactive:not(.exiting),
+    :host([data-transition-effect="slide-right"]) .image-layer.inactive:not(.exiting),
+    :host([data-transition-effect="push"]) .image-layer.inactive:not(.exiting) {
+      transform: var(--layer-transform) translateX(calc(100cqw * var(--transition-slide-sign, 1)));
+      transition: none;
+    }
+    
+    /* Slide: outgoing image stays put underneath and hides once covered */
+    :host([data-transition-effect="slide-left"]) .image-layer.inactive.exiting,
+    :host([data-transition-effect="slide-right"]) .image-layer.inactive.exiting {
+      transition: opacity 0s linear var(--transition-duration, 300ms);
+    }
+    
+    /* Push: outgoing image is pushed out the opposite side */
+    :host([data-transition-effect="push"]) .image-layer.inactive.exiting {
+      transform: var(--layer-transform) translateX(calc(-100cqw * var(--transition-slide-sign, 1)));
+      transition: transform var(--transition-duration, 300ms) ease-in-out,
+                  opacity 0s linear var(--transition-duration, 300ms);
+    }
+    
+    :host([data-transition-effect="zoom-in"]) .image-layer {
+      transition: opacity var(--transition-duration, 300ms) ease-in-out,
+                  transform var(--transition-duration, 300ms) ease-in-out;
+    }
+    
+    :host([data-transition-effect="zoom-in"]) .image-layer.inactive:not(.exiting) {
+      transform: var(--layer-transform) scale(0.85);
+      transition: none;
+    }
+    
+    :host([data-transition-effect="zoom-in"]) .image-layer.inactive.exiting {
+      transform: var(--layer-transform) scale(1.15);
+    }
+    
+    :host([data-transition-effect="blur-dissolve"]) .image-layer {
+      transition: opacity var(--transition-duration, 300ms) ease-in-out,
+                  filter var(--transition-duration, 300ms) ease-in-out;
+    }
+    
+    :host([data-transition-effect="blur-dissolve"]) .image-layer.inactive {
+      filter: blur(16px);
+    }
+    
+    :host([data-transition-effect="cube"]) .media-container {
+      perspective: 1200px;
+    }
+    
+    :host([data-transition-effect="cube"]) .image-layer {
+      backface-visibility: hidden;
+      transition: opacity var(--transition-duration, 300ms) ease-in-out,
+                  transform var(--transition-duration, 300ms) ease-in-out;
+    }
+    
+    :host([data-transition-effect="cube"]) .image-layer.inactive:not(.exiting) {
+      transform: var(--layer-transform) translateX(calc(50cqw * var(--transition-slide-sign, 1))) rotateY(calc(90deg * var(--transition-slide-sign, 1)));
+      transition: none;
+    }
+    
+    :host([data-transition-effect="cube"]) .image-layer.inactive.exiting {
+      transform: var(--layer-transform) translateX(calc(-50cqw * var(--transition-slide-sign, 1))) rotateY(calc(-90deg * var(--transition-slide-sign, 1)));
+    }
+    
     /* V5.7: Edge fade effect - smooth rectangular fade using intersecting gradients */
     :host([data-edge-fade]) img,
     :host([data-edge-fade]) video,
@@ -8212,6 +11237,7 @@ export class MediaCard extends LitElement {
     
     /* V5.6: Crossfade layers stack via grid in default mode */
     :host(:not([data-aspect-mode]):not([data-card-height])) .image-layer {
+      --layer-transform: translate(0, 0);
       position: static !important;
       top: auto;
       left: auto;
@@ -8242,7 +11268,76 @@ export class MediaCard extends LitElement {
       object-fit: contain;
       margin: auto;
     }
-    
+
+    /* V5.9: Collage layout - two-row mosaic; portrait tiles (.tall) span both rows */
+    .collage-grid {
+      display: grid;
+      grid-template-columns: repeat(var(--collage-columns, 2), 1fr);
+      grid-template-rows: repeat(2, 1fr);
+      grid-auto-flow: column dense;
+      gap: 4px;
+      width: 100%;
+      height: 100%;
+      grid-area: 1 / 1;
+    }
+
+    /* Default mode has no container height to fill - size the grid from the card width */
+    :host(:not([data-aspect-mode]):not([data-card-height])) .collage-grid {
+      height: auto;
+      aspect-ratio: 16 / 9;
+      max-height: var(--media-max-height, 400px);
+    }
+
+    :host([data-aspect-mode="smart-scale"]) .collage-grid {
+      height: var(--smart-scale-max-height);
+    }
+
+    .collage-tile {
+      position: relative;
+      overflow: hidden;
+      min-width: 0;
+      min-height: 0;
+      background: rgba(0, 0, 0, 0.2);
+    }
+
+    .collage-tile.tall {
+      grid-row: span 2;
+    }
+
+    /* Tiles crop to fill their cell; !important beats the per-aspect-mode and fullscreen img rules */
+    .collage-tile img {
+      display: block;
+      width: 100% !important;
+      height: 100% !important;
+      max-width: none !important;
+      max-height: none !important;
+      margin: 0 !important;
+      object-fit: cover !important;
+    }
+
+    /* V5.9: Portrait pairing - current image centered in the left half, partner in the right half */
+    .media-container.paired img {
+      position: absolute !important;
+      top: 50%;
+      left: 25%;
+      transform: var(--layer-transform, translate(-50%, -50%));
+      max-width: calc(50% - 2px) !important;
+      max-height: 100% !important;
+      object-fit: contain;
+    }
+
+    .media-container.paired img.pair-partner {
+      left: 75%;
+      transform: translate(-50%, -50%);
+      z-index: 2;
+    }
+
+    :host([data-aspect-mode="viewport-fill"]) .media-container.paired img {
+      width: calc(50% - 2px) !important;
+      height: 100% !important;
+      object-fit: cover !important;
+    }
+
     /* Remove max-height constraint in fullscreen mode */
     :fullscreen img,
     :fullscreen video,
@@ -9275,9 +12370,183 @@ export class MediaCard extends LitElement {
       background: rgba(3, 169, 244, 0.15);
     }
 
-    .info-btn.active:hover {
-      color: var(--primary-color, #03a9f4);
-      background: rgba(3, 169, 244, 0.25);
+    .info-btn.active:hover {
+      color: var(--primary-color, #03a9f4);
+      background: rgba(3, 169, 244, 0.25);
+    }
+
+    /* V5.9: Empty state in dropdown panels */
+    .panel-empty {
+      color: rgba(255, 255, 255, 0.5);
+      font-size: 13px;
+      margin-bottom: 12px;
+    }
+
+    /* V5.9: Tile maps (info panel mini map and map of the slideshow) */
+    .mini-map,
+    .queue-map {
+      position: relative;
+      overflow: hidden;
+      background: #ddd;
+    }
+
+    .mini-map {
+      height: 180px;
+      margin: 10px 0;
+      border-radius: 8px;
+    }
+
+    .map-tile {
+      position: absolute;
+      width: 256px;
+      height: 256px;
+      pointer-events: none;
+      user-select: none;
+    }
+
+    .map-pin {
+      position: absolute;
+      left: 50%;
+      top: 50%;
+      transform: translate(-50%, -100%);
+      --mdc-icon-size: 32px;
+      color: #e53935;
+      filter: drop-shadow(0 1px 2px rgba(0, 0, 0, 0.5));
+    }
+
+    .map-attribution {
+      position: absolute;
+      right: 0;
+      bottom: 0;
+      padding: 1px 4px;
+      background: rgba(255, 255, 255, 0.7);
+      color: #333;
+      font-size: 10px;
+    }
+
+    .queue-map-overlay {
+      position: absolute;
+      inset: 0;
+      display: flex;
+      flex-direction: column;
+      background: rgba(0, 0, 0, 0.9);
+      z-index: 15;
+    }
+
+    .queue-map-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      color: rgba(255, 255, 255, 0.9);
+      font-size: 14px;
+    }
+
+    .queue-map {
+      flex: 1;
+    }
+
+    .map-marker {
+      position: absolute;
+      transform: translate(-50%, -50%);
+      width: 36px;
+      height: 36px;
+      padding: 0;
+      border-radius: 50%;
+      border: 2px solid white;
+      overflow: hidden;
+      background: var(--primary-color, #03a9f4);
+      color: white;
+      cursor: pointer;
+      box-shadow: 0 1px 4px rgba(0, 0, 0, 0.5);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+
+    .map-marker img {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+
+    .map-marker ha-icon {
+      --mdc-icon-size: 18px;
+    }
+
+    .map-marker.current {
+      border-color: var(--primary-color, #03a9f4);
+      width: 48px;
+      height: 48px;
+      z-index: 1;
+    }
+
+    .map-btn.active {
+      color: var(--primary-color, #03a9f4);
+      background: rgba(3, 169, 244, 0.15);
+    }
+
+    /* V5.9: People row in the info panel */
+    .info-person-link {
+      background: rgba(3, 169, 244, 0.2);
+      border: 1px solid rgba(3, 169, 244, 0.4);
+      border-radius: 12px;
+      padding: 2px 10px;
+      margin: 0 4px 4px 0;
+      color: rgba(255, 255, 255, 0.95);
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .info-person-link:hover {
+      background: rgba(3, 169, 244, 0.35);
+    }
+
+    .people-btn.active,
+    .nearby-btn.active {
+      color: var(--primary-color, #03a9f4);
+      background: rgba(3, 169, 244, 0.15);
+    }
+
+    /* V5.9: Undo toast */
+    .undo-toast-btn {
+      background: none;
+      border: 1px solid var(--primary-color, #03a9f4);
+      border-radius: 4px;
+      padding: 4px 10px;
+      color: var(--primary-color, #03a9f4);
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+    }
+
+    .undo-toast {
+      position: absolute;
+      bottom: 48px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      max-width: calc(100% - 32px);
+      padding: 8px 10px 8px 14px;
+      border-radius: 8px;
+      background: rgba(0, 0, 0, 0.85);
+      color: rgba(255, 255, 255, 0.95);
+      font-size: 13px;
+      z-index: 20;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+    }
+
+    .undo-toast ha-icon {
+      --mdc-icon-size: 18px;
+      flex-shrink: 0;
+    }
+
+    .undo-toast-text {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
     }
     
     .burst-btn.active {
@@ -9395,6 +12664,30 @@ export class MediaCard extends LitElement {
       color: var(--text-primary-color, #fff);
     }
 
+    /* V5.9: Bulk action progress / failure list */
+    .confirmation-details {
+      max-height: 160px;
+      overflow-y: auto;
+      margin: -12px 0 20px;
+      padding-left: 20px;
+      color: var(--secondary-text-color);
+      font-size: 13px;
+      text-align: left;
+    }
+
+    .confirmation-progress {
+      height: 4px;
+      border-radius: 2px;
+      background: linear-gradient(90deg, transparent, var(--primary-color, #03a9f4), transparent);
+      background-size: 200% 100%;
+      animation: confirmation-progress 1.2s linear infinite;
+    }
+
+    @keyframes confirmation-progress {
+      from { background-position: 100% 0; }
+      to { background-position: -100% 0; }
+    }
+
     /* Side Panel Styles - Side-by-side mode */
     .card {
       position: relative;
@@ -9782,6 +13075,101 @@ export class MediaCard extends LitElement {
       font-family: monospace;
     }
 
+    /* V5.9: Multi-select and bulk actions */
+    .panel-select-button {
+      background: none;
+      border: 1px solid var(--divider-color, rgba(255, 255, 255, 0.3));
+      color: var(--primary-text-color);
+      padding: 6px 10px;
+      border-radius: 8px;
+      font-size: 13px;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+
+    .panel-select-button.active {
+      border-color: var(--primary-color, #03a9f4);
+      color: var(--primary-color, #03a9f4);
+    }
+
+    .bulk-action-bar {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding: 8px 12px;
+      border-bottom: 1px solid var(--divider-color, rgba(255, 255, 255, 0.1));
+    }
+
+    .bulk-action-row {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .bulk-count {
+      flex: 1;
+      font-size: 13px;
+      font-weight: 500;
+    }
+
+    .bulk-select-all {
+      background: none;
+      border: none;
+      color: var(--primary-color, #03a9f4);
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .bulk-btn {
+      background: var(--primary-color, #03a9f4);
+      color: white;
+      border: none;
+      border-radius: 8px;
+      padding: 6px 10px;
+      cursor: pointer;
+      display: flex;
+      align-items: center;
+    }
+
+    .bulk-btn:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+
+    .bulk-btn ha-icon {
+      --mdc-icon-size: 18px;
+    }
+
+    .thumbnail.selected {
+      border-color: var(--primary-color, #03a9f4);
+    }
+
+    .select-badge {
+      position: absolute;
+      top: 4px;
+      left: 4px;
+      width: 22px;
+      height: 22px;
+      border-radius: 50%;
+      border: 2px solid white;
+      background: rgba(0, 0, 0, 0.4);
+      color: white;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 14px;
+      pointer-events: none;
+      z-index: 3;
+    }
+
+    .select-badge.checked {
+      background: var(--primary-color, #03a9f4);
+    }
+
+    .thumbnail.selected:hover {
+      transform: none;
+    }
+
     .favorite-badge {
       position: absolute;
       top: 4px;
@@ -9937,10 +13325,21 @@ export class MediaCard extends LitElement {
           <div class="confirmation-backdrop" @click=${this._handleConfirmationCancel}>
             <div class="confirmation-dialog" @click=${(e) => e.stopPropagation()}>
               <div class="confirmation-message">${this._confirmationDialogMessage}</div>
-              <div class="confirmation-buttons">
-                <button class="confirm-button" @click=${this._handleConfirmationConfirm}>Confirm</button>
-                <button class="cancel-button" @click=${this._handleConfirmationCancel}>Cancel</button>
-              </div>
+              ${this._confirmationDialogOptions?.details?.length ? html`
+                <ul class="confirmation-details">
+                  ${this._confirmationDialogOptions.details.map(line => html`<li>${line}</li>`)}
+                </ul>
+              ` : ''}
+              ${this._confirmationDialogOptions?.progress ? html`
+                <div class="confirmation-progress"></div>
+              ` : html`
+                <div class="confirmation-buttons">
+                  <button class="confirm-button" @click=${this._handleConfirmationConfirm}>${this._confirmationDialogOptions?.confirmLabel || 'Confirm'}</button>
+                  ${this._confirmationDialogOptions?.hideCancel ? '' : html`
+                    <button class="cancel-button" @click=${this._handleConfirmationCancel}>${this._confirmationDialogOptions?.cancelLabel || 'Cancel'}</button>
+                  `}
+                </div>
+              `}
             </div>
           </div>
         ` : ''}
@@ -10011,9 +13410,13 @@ export class MediaCard extends LitElement {
     // V5.6.7: Hide bottom overlays during video playback (tap center to toggle for video control access)
     const hideBottomOverlaysClass = this._hideBottomOverlaysForVideo ? 'hide-bottom-overlays' : '';
 
+    // V5.9: Portrait pair - current image on the left half, partner on the right
+    const pairedItem = !isVideo ? this._pairedItem : null;
+    const pairedClass = pairedItem ? 'paired' : '';
+
     return html`
       <div 
-        class="media-container ${transparentClass} ${hideBottomOverlaysClass}"
+        class="media-container ${transparentClass} ${hideBottomOverlaysClass} ${pairedClass}"
         style="--ha-media-metadata-scale: ${metadataScale}; --display-entities-transition: ${displayEntitiesTransition}ms; --ha-overlay-opacity: ${overlayOpacity}"
         @click=${this._handleTap}
         @dblclick=${this._handleDoubleTap}
@@ -10053,7 +13456,10 @@ export class MediaCard extends LitElement {
             <p>Your browser does not support the video tag. <a href="${this.mediaUrl}" target="_blank">Download the video</a> instead.</p>
           </video>
           ${this._renderVideoInfo()}
-        ` : (this.config?.transition?.duration ?? 300) === 0 ? html`
+        ` : this._isCollageLayout() && !(this._panelOpen && this._panelMode !== 'queue') && this._getCollageTiles().length > 0 ? html`
+          <!-- V5.9: Collage layout - current item plus earlier queue items as a mosaic -->
+          ${this._renderCollage()}
+        ` : (this.config?.transition?.duration ?? 300) === 0 || this._isCollageLayout() ? html`
           <!-- V5.6: Instant mode - single image, no layers -->
           <img 
             src="${this.mediaUrl}" 
@@ -10065,7 +13471,7 @@ export class MediaCard extends LitElement {
           <!-- V5.6: Crossfade with two layers (only render when we have image URLs) -->
           ${this._frontLayerUrl ? html`
             <img 
-              class="image-layer ${this._frontLayerActive ? 'active' : 'inactive'}"
+              class="image-layer ${this._frontLayerActive ? 'active' : 'inactive'} ${this._exitingLayer === 'front' ? 'exiting' : ''}"
               src="${this._frontLayerUrl}" 
               alt="${this.currentMedia.title || 'Media'}"
               @error=${this._onMediaError}
@@ -10074,7 +13480,7 @@ export class MediaCard extends LitElement {
           ` : ''}
           ${this._backLayerUrl ? html`
             <img 
-              class="image-layer ${!this._frontLayerActive ? 'active' : 'inactive'}"
+              class="image-layer ${!this._frontLayerActive ? 'active' : 'inactive'} ${this._exitingLayer === 'back' ? 'exiting' : ''}"
               src="${this._backLayerUrl}" 
               alt="${this.currentMedia.title || 'Media'}"
               @error=${this._onMediaError}
@@ -10082,6 +13488,14 @@ export class MediaCard extends LitElement {
             />
           ` : ''}
         ` : ''}
+        ${pairedItem ? html`
+          <img
+            class="pair-partner"
+            src="${pairedItem.url}"
+            alt="${pairedItem.item.title || 'Media'}"
+            @load=${(e) => this._onTileLoaded(e, pairedItem.item)}
+          />
+        ` : ''}
         ${this._renderNavigationZones()}
         ${this._renderMetadataOverlay()}
         ${this._renderDisplayEntities()}
@@ -10089,6 +13503,8 @@ export class MediaCard extends LitElement {
         ${this._renderActionButtons()}
         ${this._renderNavigationIndicators()}
         ${this._renderInfoOverlay()}
+        ${this._renderQueueMap()}
+        ${this._renderUndoToast()}
       </div>
     `;
   }
@@ -10192,6 +13608,329 @@ export class MediaCard extends LitElement {
     return html``;
   }
 
+  /**
+   * V5.9: Multi-select in the thumbnail strip
+   * Select mode (header button or long-press) turns thumbnail clicks into checkboxes,
+   * and the bulk bar applies favorite / tag / edit / delete to every selected item
+   */
+  _getPanelItemUri(item) {
+    return item.media_source_uri
+      || item.media_content_id
+      || `media-source://media_source${item.path}`;
+  }
+
+  _renderSelectToggle() {
+    if (!MediaProvider.isMediaIndexActive(this.config)) return '';
+    
+    return html`
+      <button
+        class="panel-select-button ${this._selectionMode ? 'active' : ''}"
+        @click=${() => this._selectionMode ? this._exitSelectionMode() : this._enterSelectionMode()}
+        title="${this._selectionMode ? 'Cancel selection' : 'Select several items (or long-press a thumbnail)'}">
+        ${this._selectionMode ? '✕ Done' : '☑️ Select'}
+      </button>
+    `;
+  }
+
+  _enterSelectionMode() {
+    this._selectionMode = true;
+    this._selectedUris.clear();
+    this.requestUpdate();
+  }
+
+  _exitSelectionMode() {
+    this._selectionMode = false;
+    this._selectedUris.clear();
+    this.requestUpdate();
+  }
+
+  _toggleItemSelection(uri) {
+    if (this._selectedUris.has(uri)) {
+      this._selectedUris.delete(uri);
+    } else {
+      this._selectedUris.add(uri);
+    }
+    this.requestUpdate();
+  }
+
+  _startThumbnailLongPress(uri) {
+    if (!MediaProvider.isMediaIndexActive(this.config)) return;
+    
+    this._cancelThumbnailLongPress();
+    this._longPressTriggered = false;
+    this._longPressTimer = setTimeout(() => {
+      this._longPressTimer = null;
+      this._longPressTriggered = true;
+      if (!this._selectionMode) {
+        this._enterSelectionMode();
+      }
+      this._toggleItemSelection(uri);
+    }, 500);
+  }
+
+  _cancelThumbnailLongPress() {
+    if (this._longPressTimer) {
+      clearTimeout(this._longPressTimer);
+      this._longPressTimer = null;
+    }
+  }
+
+  _getPanelItems() {
+    const allItems = this._panelMode === 'queue' ? this.navigationQueue : this._panelQueue;
+    return (allItems || []).filter(item => !item._invalid);
+  }
+
+  _toggleSelectAll() {
+    const items = this._getPanelItems();
+    if (this._selectedUris.size === items.length) {
+      this._selectedUris.clear();
+    } else {
+      items.forEach(item => this._selectedUris.add(this._getPanelItemUri(item)));
+    }
+    this.requestUpdate();
+  }
+
+  _renderBulkActionBar() {
+    if (!this._selectionMode) return html``;
+    
+    const config = this.config.action_buttons || {};
+    const count = this._selectedUris.size;
+    const allSelected = count > 0 && count === this._getPanelItems().length;
+    const disabled = count === 0 || this._bulkActionRunning;
+    
+    return html`
+      <div class="bulk-action-bar">
+        <div class="bulk-action-row">
+          <span class="bulk-count">${count} selected</span>
+          <button class="bulk-select-all" @click=${this._toggleSelectAll}>
+            ${allSelected ? 'Select none' : 'Select all'}
+          </button>
+        </div>
+        <div class="bulk-action-row">
+          ${config.enable_favorite !== false ? html`
+            <button class="bulk-btn" ?disabled=${disabled} @click=${() => this._runBulkAction('favorite')} title="Favorite selected">
+              <ha-icon icon="mdi:heart-outline"></ha-icon>
+            </button>
+          ` : ''}
+          ${config.enable_edit !== false ? html`
+            <button class="bulk-btn" ?disabled=${disabled} @click=${() => this._runBulkAction('edit')} title="Mark selected for editing">
+              <ha-icon icon="mdi:pencil-outline"></ha-icon>
+            </button>
+          ` : ''}
+          ${config.enable_delete !== false ? html`
+            <button class="bulk-btn" ?disabled=${disabled} @click=${() => this._runBulkAction('delete')} title="Delete selected">
+              <ha-icon icon="mdi:delete-outline"></ha-icon>
+            </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * V5.9: Apply one action to every selected item, one service call at a time.
+   * Progress and failures are shown in the confirmation dialog; failed items stay
+   * selected so they can be retried.
+   */
+  async _runBulkAction(action) {
+    if (this._bulkActionRunning || !MediaProvider.isMediaIndexActive(this.config)) return;
+    
+    const items = this._getPanelItems().filter(item => this._selectedUris.has(this._getPanelItemUri(item)));
+    if (items.length === 0) return;
+    
+    const count = items.length;
+    const noun = `${count} item${count > 1 ? 's' : ''}`;
+    
+    // Favorite toggles like the single button - unfavorite only when everything is already favorited
+    const isFavorited = (item) => item.is_favorited === true || item.metadata?.is_favorited === true
+      || this._burstFavoritedFiles.includes(item.media_source_uri || item.media_content_id || item.path);
+    const favoriteState = action === 'favorite' ? !items.every(isFavorited) : null;
+    
+    const labels = {
+      favorite: favoriteState ? 'Favoriting' : 'Unfavoriting',
+      edit: 'Moving to _Edit',
+      delete: 'Moving to _Junk'
+    };
+    
+    if (action === 'delete' || action === 'edit') {
+      const folder = action === 'delete' ? '_Junk' : '_Edit';
+      const confirmed = await this._showConfirmationDialog(
+        `Move ${noun} to ${folder}?`,
+        { confirmLabel: `Move to ${folder}` }
+      );
+      if (!confirmed) return;
+      
+      // V5.9: Same undo window as a single delete/edit - the whole selection is one undo step
+      const undoSeconds = this._getUndoSeconds();
+      if (undoSeconds > 0) {
+        this._deferRemoval(items.map(item => this._getPanelItemUri(item)), action, undoSeconds);
+        this._log(`📦 Bulk ${action}: ${count} items held for undo`);
+        this._exitSelectionMode();
+        await this._removeBulkItems(items, action);
+        this.requestUpdate();
+        return;
+      }
+    }
+    
+    this._bulkActionRunning = true;
+    const succeeded = [];
+    const failures = [];
+    
+    for (const [index, item] of items.entries()) {
+      const uri = this._getPanelItemUri(item);
+      this._showConfirmationProgress(`${labels[action]} ${index + 1} of ${count}…`);
+      
+      try {
+        const serviceData = { media_source_uri: uri };
+        let service;
+        if (action === 'favorite') {
+          service = 'mark_favorite';
+          serviceData.is_favorite = favoriteState;
+        } else if (action === 'edit') {
+          service = 'mark_for_edit';
+          serviceData.mark_for_edit = true;
+        } else {
+          service = 'delete_media';
+        }
+        
+        const wsCall = {
+          type: 'call_service',
+          domain: 'media_index',
+          service,
+          service_data: serviceData,
+          return_response: true
+        };
+        
+        if (this.config.media_index?.entity_id) {
+          wsCall.target = { entity_id: this.config.media_index.entity_id };
+        }
+        
+        await this.hass.callWS(wsCall);
+        succeeded.push(item);
+      } catch (error) {
+        console.error(`Failed bulk ${action}:`, uri, error);
+        const filename = item.filename || item.title || MediaProvider.extractFilename(uri);
+        failures.push({ item, message: `${filename}: ${error.message}` });
+      }
+    }
+    
+    this._bulkActionRunning = false;
+    this._hideConfirmationProgress();
+    this._log(`📦 Bulk ${action}: ${succeeded.length} of ${count} succeeded`);
+    
+    if (action === 'favorite') {
+      this._applyBulkFavorite(succeeded, favoriteState);
+    }
+    
+    // Keep failed items selected for a retry
+    this._selectedUris = new Set(failures.map(failure => this._getPanelItemUri(failure.item)));
+    if (failures.length === 0) {
+      this._selectionMode = false;
+    }
+    
+    if (action === 'delete' || action === 'edit') {
+      await this._removeBulkItems(succeeded, action);
+    }
+    this.requestUpdate();
+    
+    if (failures.length > 0) {
+      await this._showConfirmationDialog(
+        `${labels[action]}: ${succeeded.length} of ${count} done, ${failures.length} failed.`,
+        { confirmLabel: 'OK', hideCancel: true, details: failures.map(failure => failure.message) }
+      );
+    }
+  }
+
+  _applyBulkFavorite(items, newState) {
+    for (const item of items) {
+      const uri = this._getPanelItemUri(item);
+      const burstUri = item.media_source_uri || item.media_content_id || item.path;
+      
+      item.is_favorited = newState;
+      if (item.metadata) {
+        item.metadata.is_favorited = newState;
+      }
+      if (this._currentMediaPath === uri && this._currentMetadata) {
+        this._currentMetadata.is_favorited = newState;
+      }
+      
+      // Burst panel writes favorites back on exit (update_burst_metadata)
+      if (this._panelMode === 'burst') {
+        const index = this._burstFavoritedFiles.indexOf(burstUri);
+        if (newState && index === -1) {
+          this._burstFavoritedFiles.push(burstUri);
+        } else if (!newState && index !== -1) {
+          this._burstFavoritedFiles.splice(index, 1);
+        }
+      }
+    }
+  }
+
+  /**
+   * V5.9: Same queue cleanup as _performDelete / _performEdit, for many files at once
+   */
+  async _removeBulkItems(items, action) {
+    if (items.length === 0) return;
+    
+    const currentUri = this._currentMediaPath;
+    const panelCurrentIndex = this._panelQueueIndex;
+    let removedCurrent = false;
+    let removedPanelCurrent = false;
+    
+    for (const item of items) {
+      const targetUri = this._getPanelItemUri(item);
+      if (targetUri === currentUri) removedCurrent = true;
+      
+      if (this.provider && this.provider.excludedFiles) {
+        this.provider.excludedFiles.add(targetUri);
+      }
+      
+      const navIndex = this.navigationQueue.findIndex(queueItem => queueItem.media_content_id === targetUri);
+      if (navIndex >= 0) {
+        this.navigationQueue.splice(navIndex, 1);
+        if (navIndex <= this.navigationIndex) {
+          this.navigationIndex--;
+        }
+      }
+      
+      if (this._panelOpen && this._panelMode !== 'queue') {
+        const mainIndex = this._mainQueue.findIndex(queueItem => queueItem.media_content_id === targetUri);
+        if (mainIndex >= 0) {
+          this._mainQueue.splice(mainIndex, 1);
+          if (mainIndex <= this._mainQueueIndex) {
+            this._mainQueueIndex--;
+          }
+        }
+        
+        const panelIndex = this._panelQueue.indexOf(item);
+        if (panelIndex >= 0) {
+          this._panelQueue.splice(panelIndex, 1);
+          if (panelIndex === this._panelQueueIndex) {
+            removedPanelCurrent = true;
+          } else if (panelIndex < this._panelQueueIndex) {
+            this._panelQueueIndex--;
+          }
+        }
+      }
+    }
+    
+    this._log(`📚 Removed ${items.length} items from queues (${action})`);
+    
+    if (this._panelOpen && this._panelMode !== 'queue') {
+      if (this._panelQueue.length === 0) {
+        this._exitPanelMode();
+      } else if (removedPanelCurrent) {
+        await this._loadPanelItem(Math.min(panelCurrentIndex, this._panelQueue.length - 1));
+      }
+      return;
+    }
+    
+    // Queue preview / main slideshow - move on if the item on screen was removed
+    if (removedCurrent) {
+      await this._loadNext();
+    }
+  }
+
   /**
    * Render side panel (burst review, queue preview, history, etc.)
    */
@@ -10201,6 +13940,7 @@ export class MediaCard extends LitElement {
     return html`
       <div class="side-panel ${this._panelMode || ''}">
         ${this._renderPanelHeader()}
+        ${this._renderBulkActionBar()}
         ${this._renderThumbnailStrip()}
       </div>
     `;
@@ -10252,6 +13992,12 @@ export class MediaCard extends LitElement {
       }
       title = `📆 ${monthDay} Through the Years${yearRange}`;
       subtitle = `${this._panelQueue.length} media items across years`;
+    } else if (this._panelMode === 'nearby') {
+      title = '📍 Nearby';
+      subtitle = `${this._panelQueue.length} media items within ${this._nearbyRadiusKm} km`;
+    } else if (this._panelMode === 'person') {
+      title = `👤 ${this._personPanelName}`;
+      subtitle = `${this._panelQueue.length} media items with ${this._personPanelName}`;
     } else if (this._panelMode === 'queue') {
       title = '📋 Queue';
       const queueLength = this.navigationQueue?.length || 0;
@@ -10290,6 +14036,7 @@ export class MediaCard extends LitElement {
                 />
                 <span>📸 Photo Date</span>
               </label>
+              ${this._renderSelectToggle()}
             </div>
             <div class="bottom-row">
               <label class="randomize-checkbox" title="Randomize playback order">
@@ -10319,7 +14066,30 @@ export class MediaCard extends LitElement {
             ${subtitle ? html`<div class="subtitle-text">${subtitle}</div>` : ''}
           </div>
           <div class="panel-header-actions">
-            ${(this._panelMode === 'burst' || this._panelMode === 'related') ? html`
+            ${this._renderSelectToggle()}
+            ${this._panelMode === 'person' && this._personPanelPeople.length > 1 ? html`
+              <select
+                class="window-selector"
+                .value=${this._personPanelName}
+                @change=${this._handlePersonChange}
+                title="Show another person from this photo">
+                ${this._personPanelPeople.map(person => html`
+                  <option value=${person} ?selected=${person === this._personPanelName}>${person}</option>
+                `)}
+              </select>
+            ` : ''}
+            ${this._panelMode === 'nearby' ? html`
+              <select
+                class="window-selector"
+                .value=${String(this._nearbyRadiusKm)}
+                @change=${this._handleNearbyRadiusChange}
+                title="Adjust distance">
+                ${[...new Set([1, 5, 10, 25, 50, 100, this._nearbyRadiusKm])].sort((a, b) => a - b).map(km => html`
+                  <option value=${String(km)} ?selected=${km === this._nearbyRadiusKm}>${km} km</option>
+                `)}
+              </select>
+            ` : ''}
+            ${['burst', 'related', 'person', 'nearby'].includes(this._panelMode) ? html`
               <label class="randomize-checkbox" title="Randomize playback order">
                 <input 
                   type="checkbox" 
@@ -10475,6 +14245,10 @@ export class MediaCard extends LitElement {
     let hasRequestedUpdate = false;
     
     displayItems.forEach(async (item) => {
+      // V5.9: Live camera views show a current snapshot
+      if (!item._resolvedUrl && this._isCameraItem(item)) {
+        item._resolvedUrl = this._getCameraUrl(item.metadata.camera_entity, false);
+      }
       if (!item._resolvedUrl && !item._resolving) {
         item._resolving = true;
         pendingResolutions++;
@@ -10521,8 +14295,9 @@ export class MediaCard extends LitElement {
         
         ${displayItems.map((item, displayIndex) => {
           const actualIndex = displayStartIndex + displayIndex;
+          // V5.9: Both images of a portrait pair are highlighted in the queue preview
           const isActive = this._panelMode === 'queue' 
-            ? actualIndex === this.navigationIndex 
+            ? actualIndex === this.navigationIndex || actualIndex === this._pairedItem?.index
             : actualIndex === this._panelQueueIndex;
           const itemUri = item.media_source_uri || item.media_content_id || item.path;
           // Check multiple sources for favorite status.
@@ -10559,6 +14334,11 @@ export class MediaCard extends LitElement {
             // Add sign prefix
             if (item.seconds_offset > 0) badge = `+${badge}`;
             else if (item.seconds_offset < 0) badge = `-${badge}`;
+          } else if (this._panelMode === 'nearby' && item._distanceKm !== null && item._distanceKm !== undefined) {
+            // V5.9: Distance from the photo the Nearby panel was opened from
+            badge = item._distanceKm < 1
+              ? `${Math.round(item._distanceKm * 1000)} m`
+              : `${item._distanceKm.toFixed(1)} km`;
           } else if (this._panelMode === 'queue') {
             // Position indicator for queue mode
             const queuePos = actualIndex + 1;
@@ -10566,6 +14346,10 @@ export class MediaCard extends LitElement {
             badge = `${queuePos}/${queueTotal}`;
           }
 
+          // V5.9: Multi-select state
+          const selectionUri = this._getPanelItemUri(item);
+          const isSelected = this._selectionMode && this._selectedUris.has(selectionUri);
+
           const isVideo = this._isVideoItem(item);
           const videoThumbnailTime = this.config.video_thumbnail_time || 1;
           const isVideoLoaded = isVideo && this._isVideoThumbnailLoaded(item);
@@ -10573,10 +14357,20 @@ export class MediaCard extends LitElement {
           
           return html`
             <div 
-              class="thumbnail ${isFavorited ? 'favorited' : ''}"
+              class="thumbnail ${isFavorited ? 'favorited' : ''} ${isSelected ? 'selected' : ''}"
               data-item-index="${actualIndex}"
+              @pointerdown=${() => this._startThumbnailLongPress(selectionUri)}
+              @pointerup=${this._cancelThumbnailLongPress}
+              @pointerleave=${this._cancelThumbnailLongPress}
+              @pointercancel=${this._cancelThumbnailLongPress}
+              @contextmenu=${(e) => { if (this._selectionMode) e.preventDefault(); }}
               @click=${(e) => {
-                if (this._panelMode === 'queue') {
+                if (this._longPressTriggered) {
+                  // Click that ends a long press - selection already toggled
+                  this._longPressTriggered = false;
+                } else if (this._selectionMode) {
+                  this._toggleItemSelection(selectionUri);
+                } else if (this._panelMode === 'queue') {
                   this._jumpToQueuePosition(actualIndex);
                 } else if (this._panelMode === 'burst' && actualIndex === this._panelQueueIndex) {
                   // Already viewing this image — toggle its favorite status.
@@ -10638,6 +14432,9 @@ export class MediaCard extends LitElement {
               `}
               ${badge ? html`<div class="time-badge">${badge}</div>` : ''}
               ${isFavorited ? html`<div class="favorite-badge">♥</div>` : ''}
+              ${this._selectionMode ? html`
+                <div class="select-badge ${isSelected ? 'checked' : ''}">${isSelected ? '✓' : ''}</div>
+              ` : ''}
             </div>
           `;
         })}